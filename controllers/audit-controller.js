@@ -0,0 +1,104 @@
+const AuditLog = require("../models/AuditLog");
+
+// Admin: staff changes, newest first, filterable by actor, entity, action and
+// date range
+const getAuditLogs = async (req, res) => {
+    try {
+        const {
+            actor,
+            entity,
+            entityId,
+            action,
+            from,
+            to,
+            page = 1,
+            limit = 20
+        } = req.query;
+
+        const query = {};
+
+        if (actor) {
+            if (!actor.match(/^[0-9a-fA-F]{24}$/)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid actor ID"
+                });
+            }
+            query.actor = actor;
+        }
+
+        if (entity) {
+            if (!AuditLog.ENTITIES.includes(entity)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Entity must be one of: ${AuditLog.ENTITIES.join(", ")}`
+                });
+            }
+            query.entity = entity;
+        }
+
+        if (entityId) {
+            query.entityId = entityId;
+        }
+
+        // An action filter like "menu" matches every menu action
+        if (action) {
+            query.action = action.includes(".")
+                ? action
+                : { $regex: `^${action.replace(/[^a-z-]/gi, "")}\\.` };
+        }
+
+        if (from || to) {
+            const fromDate = from ? new Date(from) : null;
+            const toDate = to ? new Date(to) : null;
+            if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid 'from' or 'to' date"
+                });
+            }
+            query.createdAt = {};
+            if (fromDate) query.createdAt.$gte = fromDate;
+            if (toDate) query.createdAt.$lte = toDate;
+        }
+
+        // Pagination
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+        const skip = (pageNum - 1) * limitNum;
+
+        const [logs, totalCount] = await Promise.all([
+            AuditLog.find(query)
+                .populate('actor', 'name email role')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limitNum),
+            AuditLog.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(totalCount / limitNum);
+
+        return res.status(200).json({
+            success: true,
+            data: logs,
+            pagination: {
+                currentPage: pageNum,
+                totalPages,
+                totalItems: totalCount,
+                itemsPerPage: limitNum,
+                hasNextPage: pageNum < totalPages,
+                hasPrevPage: pageNum > 1
+            }
+        });
+    } catch (err) {
+        console.error("Get audit logs error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+module.exports = {
+    getAuditLogs
+};
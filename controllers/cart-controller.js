@@ -0,0 +1,455 @@
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const Menu = require("../models/Menu");
+const Order = require("../models/Order");
+const { publish } = require("../utils/eventBus");
+const { roundPrice, buildOrderItems } = require("../utils/orderBuilder");
+const { resolveSelection } = require("../utils/menuOptions");
+const { reserveStock, releaseStock, announceStockChanges } = require("../utils/inventory");
+const { applyPromotions, redeemPromotions } = require("../utils/promotions");
+
+// Find the user's cart, creating an empty one on first use
+const findOrCreateCart = (userId) => {
+    return Cart.findOneAndUpdate(
+        { user: userId },
+        { $setOnInsert: { user: userId, items: [] } },
+        { new: true, upsert: true }
+    );
+};
+
+// Bring cart lines in line with the current menu so prices and availability
+// are never stale, even for changes made outside the admin API. The caller
+// is responsible for saving the cart.
+const refreshCart = async (cart) => {
+    if (cart.items.length === 0) {
+        return cart;
+    }
+
+    const menus = await Menu.find({ _id: { $in: cart.items.map(item => item.menuItem) } });
+    const menuById = new Map(menus.map(menu => [menu._id.toString(), menu]));
+
+    const menuIds = [...new Set(cart.items.map(item => item.menuItem.toString()))];
+    menuIds.forEach(id => cart.applyMenuItem(id, menuById.get(id) || null));
+
+    return cart;
+};
+
+// Add totals to the cart. Flagged lines are shown but not counted.
+const formatCart = (cart) => {
+    const cartObject = cart.toObject();
+    const availableItems = cartObject.items.filter(item => item.status === "available");
+
+    return {
+        ...cartObject,
+        subtotal: roundPrice(availableItems.reduce((sum, item) => sum + item.price * item.quantity, 0)),
+        itemCount: availableItems.reduce((sum, item) => sum + item.quantity, 0),
+        hasUnavailableItems: availableItems.length !== cartObject.items.length
+    };
+};
+
+// Find the cart line a route refers to: by the line's own ID, or by menu
+// item ID when the cart holds that item only once. Returns { line } or
+// { status, message }.
+const findLine = (cart, id) => {
+    const byId = cart.items.find(item => item._id.toString() === id);
+    if (byId) {
+        return { line: byId };
+    }
+
+    const lines = cart.items.filter(item => item.menuItem.toString() === id);
+    if (lines.length === 0) {
+        return { status: 404, message: "Item not found in cart" };
+    }
+    if (lines.length > 1) {
+        return { status: 409, message: "The cart holds this item with different options; use the line's _id" };
+    }
+    return { line: lines[0] };
+};
+
+// Handle validation errors the same way for every cart mutation
+const handleCartError = (res, err, label) => {
+    console.error(`${label} error:`, err);
+
+    if (err.name === 'ValidationError') {
+        const errors = Object.values(err.errors).map(e => e.message);
+        return res.status(400).json({
+            success: false,
+            message: "Validation failed",
+            errors
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: "Internal server error"
+    });
+};
+
+const getCart = async (req, res) => {
+    try {
+        const cart = await refreshCart(await findOrCreateCart(req.user.userId));
+        await cart.save();
+
+        return res.status(200).json({
+            success: true,
+            data: formatCart(cart)
+        });
+    } catch (err) {
+        return handleCartError(res, err, "Get cart");
+    }
+};
+
+const addCartItem = async (req, res) => {
+    try {
+        const { menuItem, quantity = 1, notes, variant, modifiers } = req.body;
+
+        if (typeof menuItem !== 'string' || !menuItem.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid menu item ID"
+            });
+        }
+
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return res.status(400).json({
+                success: false,
+                message: "Quantity must be a whole number of at least 1"
+            });
+        }
+
+        if (notes !== undefined && typeof notes !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: "Item notes must be a string"
+            });
+        }
+
+        const menu = await Menu.findOne({ _id: menuItem, deletedAt: null });
+        if (!menu) {
+            return res.status(404).json({
+                success: false,
+                message: "Menu item not found"
+            });
+        }
+
+        if (!menu.isAvailable) {
+            return res.status(400).json({
+                success: false,
+                message: "Menu item is currently unavailable"
+            });
+        }
+
+        const selection = resolveSelection(menu, { variant, modifiers });
+        if (selection.error) {
+            return res.status(400).json({
+                success: false,
+                message: selection.error
+            });
+        }
+
+        const cart = await findOrCreateCart(req.user.userId);
+        const selectedOptions = {
+            variant: selection.variant?._id,
+            modifiers: selection.modifiers.map(m => m._id)
+        };
+
+        // The same item with the same options adds to its line; other options
+        // get a line of their own, e.g. a small and a large peppersoup
+        const existing = cart.items.find(item =>
+            item.menuItem.toString() === menuItem && item.hasOptions(selectedOptions.variant, selectedOptions.modifiers));
+        if (existing) {
+            existing.quantity += quantity;
+            if (notes !== undefined) existing.notes = notes;
+        } else {
+            cart.items.push({ menuItem: menu._id, name: menu.name, price: selection.unitPrice, quantity, notes, ...selectedOptions });
+        }
+
+        await refreshCart(cart);
+        await cart.save();
+
+        return res.status(200).json({
+            success: true,
+            message: "Item added to cart",
+            data: formatCart(cart)
+        });
+    } catch (err) {
+        return handleCartError(res, err, "Add cart item");
+    }
+};
+
+const updateCartItem = async (req, res) => {
+    try {
+        const { itemId } = req.params;
+        const { quantity, notes, variant, modifiers } = req.body;
+
+        // Validate ObjectId
+        if (!itemId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid cart item ID"
+            });
+        }
+
+        if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 1)) {
+            return res.status(400).json({
+                success: false,
+                message: "Quantity must be a whole number of at least 1"
+            });
+        }
+
+        if (notes !== undefined && typeof notes !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: "Item notes must be a string"
+            });
+        }
+
+        const cart = await findOrCreateCart(req.user.userId);
+        const found = findLine(cart, itemId);
+
+        if (!found.line) {
+            return res.status(found.status).json({
+                success: false,
+                message: found.message
+            });
+        }
+        let line = found.line;
+
+        // Changing options re-checks them against the current menu item
+        if (variant !== undefined || modifiers !== undefined) {
+            const menu = await Menu.findOne({ _id: line.menuItem, deletedAt: null });
+            if (!menu) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Menu item not found"
+                });
+            }
+
+            const selection = resolveSelection(menu, {
+                variant: variant !== undefined ? variant : line.variant?.toString(),
+                modifiers: modifiers !== undefined ? modifiers : line.modifiers.map(id => id.toString())
+            });
+            if (selection.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: selection.error
+                });
+            }
+
+            const selectedOptions = {
+                variant: selection.variant?._id,
+                modifiers: selection.modifiers.map(m => m._id)
+            };
+
+            // Switching to options already in the cart merges the two lines
+            const twin = cart.items.find(item => item !== line &&
+                item.menuItem.equals(line.menuItem) && item.hasOptions(selectedOptions.variant, selectedOptions.modifiers));
+            if (twin) {
+                twin.quantity += quantity !== undefined ? quantity : line.quantity;
+                if (notes !== undefined) twin.notes = notes;
+                cart.items.pull(line._id);
+                line = null;
+            } else {
+                line.set(selectedOptions);
+            }
+        }
+
+        if (line) {
+            if (quantity !== undefined) line.quantity = quantity;
+            if (notes !== undefined) line.notes = notes;
+        }
+
+        await refreshCart(cart);
+        await cart.save();
+
+        return res.status(200).json({
+            success: true,
+            message: "Cart item updated",
+            data: formatCart(cart)
+        });
+    } catch (err) {
+        return handleCartError(res, err, "Update cart item");
+    }
+};
+
+// Remove one line by its ID, or every line for a menu item by menu item ID
+const removeCartItem = async (req, res) => {
+    try {
+        const { itemId } = req.params;
+
+        // Validate ObjectId
+        if (!itemId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid cart item ID"
+            });
+        }
+
+        const line = { $or: [{ _id: itemId }, { menuItem: itemId }] };
+        const cart = await Cart.findOneAndUpdate(
+            { user: req.user.userId, items: { $elemMatch: line } },
+            { $pull: { items: line } },
+            { new: true }
+        );
+
+        if (!cart) {
+            return res.status(404).json({
+                success: false,
+                message: "Item not found in cart"
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Item removed from cart",
+            data: formatCart(cart)
+        });
+    } catch (err) {
+        return handleCartError(res, err, "Remove cart item");
+    }
+};
+
+const clearCart = async (req, res) => {
+    try {
+        const cart = await Cart.findOneAndUpdate(
+            { user: req.user.userId },
+            { $set: { items: [] } },
+            { new: true, upsert: true }
+        );
+
+        return res.status(200).json({
+            success: true,
+            message: "Cart cleared",
+            data: formatCart(cart)
+        });
+    } catch (err) {
+        return handleCartError(res, err, "Clear cart");
+    }
+};
+
+// Turn the cart into an order. The order is created and the cart emptied in
+// a single transaction, so a failure never leaves both or neither behind.
+const checkoutCart = async (req, res) => {
+    let session;
+
+    try {
+        session = await mongoose.startSession();
+        const { notes, orderType, promoCodes = [] } = req.body;
+
+        if (notes !== undefined && typeof notes !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: "Order notes must be a string"
+            });
+        }
+
+        if (!Array.isArray(promoCodes) || promoCodes.some(code => typeof code !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                message: "Promo codes must be an array of strings"
+            });
+        }
+
+        let failure = null;
+        let order = null;
+        let depletedIds = [];
+        let rejectedCodes = [];
+
+        await session.withTransaction(async () => {
+            failure = null;
+            order = null;
+            depletedIds = [];
+            rejectedCodes = [];
+
+            const cart = await Cart.findOne({ user: req.user.userId }).session(session);
+            if (!cart || cart.items.length === 0) {
+                failure = { status: 400, message: "Cart is empty" };
+                return;
+            }
+
+            const built = await buildOrderItems(cart.items.map(item => ({
+                menuItem: item.menuItem.toString(),
+                variant: item.variant?.toString(),
+                modifiers: item.modifiers.map(id => id.toString()),
+                quantity: item.quantity,
+                notes: item.notes
+            })));
+            if (built.error) {
+                failure = { status: built.status || 400, message: built.error, errors: built.details };
+                return;
+            }
+
+            const pricing = await applyPromotions({
+                items: built.orderItems,
+                subtotal: built.subtotal,
+                userId: req.user.userId,
+                codes: promoCodes
+            });
+            rejectedCodes = pricing.rejectedCodes;
+
+            const stock = await reserveStock(built.orderItems, session);
+            if (stock.error) {
+                failure = { status: 409, message: stock.error };
+                return;
+            }
+            built.orderItems.forEach(item => {
+                item.stockReserved = stock.reservedIds.includes(item.menuItem.toString());
+            });
+            depletedIds = stock.depletedIds;
+
+            const orderId = new mongoose.Types.ObjectId();
+            const redemption = await redeemPromotions(pricing.discounts, { userId: req.user.userId, orderId, session });
+            if (redemption.error) {
+                await releaseStock(built.orderItems, session);
+                failure = { status: 409, message: redemption.error };
+                return;
+            }
+
+            [order] = await Order.create([{
+                _id: orderId,
+                user: req.user.userId,
+                items: built.orderItems,
+                subtotal: built.subtotal,
+                discounts: pricing.discounts,
+                discountTotal: pricing.discountTotal,
+                total: pricing.total,
+                notes: notes?.trim(),
+                orderType
+            }], { session });
+
+            cart.items = [];
+            await cart.save({ session });
+        });
+
+        if (failure) {
+            return res.status(failure.status).json({
+                success: false,
+                message: failure.message,
+                ...(failure.errors && { errors: failure.errors })
+            });
+        }
+
+        publish("order:created", order, { userId: order.user });
+        await announceStockChanges(depletedIds);
+
+        return res.status(201).json({
+            success: true,
+            message: "Order placed successfully",
+            data: order,
+            ...(rejectedCodes.length > 0 && { rejectedCodes })
+        });
+    } catch (err) {
+        return handleCartError(res, err, "Checkout");
+    } finally {
+        await session?.endSession();
+    }
+};
+
+module.exports = {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    checkoutCart
+};
@@ -0,0 +1,344 @@
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const Menu = require("../models/Menu");
+const { validateSchedule } = require("../utils/availability");
+const { recordAudit } = require("../utils/audit");
+
+// Attach the number of menu items in each category
+const withItemCounts = async (categories) => {
+    const counts = await Menu.aggregate([
+        { $match: { category: { $in: categories.map(category => category.name) }, deletedAt: null } },
+        { $group: { _id: "$category", count: { $sum: 1 } } }
+    ]);
+    const countByName = new Map(counts.map(entry => [entry._id, entry.count]));
+
+    return categories.map(category => ({
+        ...category.toObject(),
+        itemCount: countByName.get(category.name) || 0
+    }));
+};
+
+// Handle validation and duplicate key errors the same way for every mutation
+const handleCategoryError = (res, err, label) => {
+    console.error(`${label} error:`, err);
+
+    if (err.name === 'ValidationError') {
+        const errors = Object.values(err.errors).map(e => e.message);
+        return res.status(400).json({
+            success: false,
+            message: "Validation failed",
+            errors
+        });
+    }
+
+    if (err.code === 11000) {
+        return res.status(409).json({
+            success: false,
+            message: "A category with this name or slug already exists"
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: "Internal server error"
+    });
+};
+
+// Public: active categories in display order
+const getCategories = async (req, res) => {
+    try {
+        const categories = await Category.find({ isActive: true }).sort({ displayOrder: 1, name: 1 });
+
+        return res.status(200).json({
+            success: true,
+            data: await withItemCounts(categories)
+        });
+    } catch (err) {
+        return handleCategoryError(res, err, "Get categories");
+    }
+};
+
+// Admin: every category, including inactive ones
+const getAllCategories = async (req, res) => {
+    try {
+        const categories = await Category.find().sort({ displayOrder: 1, name: 1 });
+
+        return res.status(200).json({
+            success: true,
+            data: await withItemCounts(categories)
+        });
+    } catch (err) {
+        return handleCategoryError(res, err, "Get all categories");
+    }
+};
+
+const createCategory = async (req, res) => {
+    try {
+        const { name, slug, description, image, displayOrder, isActive, availability } = req.body;
+
+        if (!name || typeof name !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: "Please provide a category name"
+            });
+        }
+
+        const scheduleErrors = validateSchedule(availability);
+        if (scheduleErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: scheduleErrors
+            });
+        }
+
+        const alreadyExists = await Category.findOne({ name: name.trim().toLowerCase() });
+        if (alreadyExists) {
+            return res.status(409).json({
+                success: false,
+                message: "Category with this name already exists"
+            });
+        }
+
+        const category = await Category.create({
+            name,
+            slug,
+            description,
+            image,
+            displayOrder,
+            isActive,
+            availability
+        });
+
+        await recordAudit(req, { action: "category.create", entity: "Category", entityId: category._id, label: category.name, after: category });
+
+        return res.status(201).json({
+            success: true,
+            message: "Category created successfully",
+            data: category
+        });
+    } catch (err) {
+        return handleCategoryError(res, err, "Create category");
+    }
+};
+
+// Update a category. Renaming also moves every menu item in the category to
+// the new name, in a single transaction.
+const updateCategory = async (req, res) => {
+    let session;
+
+    try {
+        session = await mongoose.startSession();
+        const { id } = req.params;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid category ID"
+            });
+        }
+
+        const allowedFields = ['name', 'slug', 'description', 'image', 'displayOrder', 'isActive', 'availability'];
+        const updates = {};
+        allowedFields.forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field];
+        });
+
+        if (updates.name !== undefined && typeof updates.name !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: "Category name must be a string"
+            });
+        }
+
+        const scheduleErrors = validateSchedule(updates.availability);
+        if (scheduleErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: scheduleErrors
+            });
+        }
+
+        let category = null;
+        let before = null;
+        let movedItems = 0;
+
+        await session.withTransaction(async () => {
+            category = await Category.findById(id).session(session);
+            if (!category) {
+                return;
+            }
+
+            before = category.toObject();
+            const oldName = category.name;
+            category.set(updates);
+            await category.save({ session });
+
+            movedItems = 0;
+            if (category.name !== oldName) {
+                const result = await Menu.updateMany(
+                    { category: oldName },
+                    { $set: { category: category.name } },
+                    { session }
+                );
+                movedItems = result.modifiedCount;
+            }
+        });
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: "Category not found"
+            });
+        }
+
+        await recordAudit(req, { action: "category.update", entity: "Category", entityId: category._id, label: category.name, before, after: category });
+
+        return res.status(200).json({
+            success: true,
+            message: "Category updated successfully",
+            data: category,
+            movedItems
+        });
+    } catch (err) {
+        return handleCategoryError(res, err, "Update category");
+    } finally {
+        await session?.endSession();
+    }
+};
+
+// Move every menu item from one category into another and remove the first
+const mergeCategory = async (req, res) => {
+    let session;
+
+    try {
+        session = await mongoose.startSession();
+        const { id } = req.params;
+        const { targetId } = req.body;
+
+        // Validate ObjectIds
+        if (!id.match(/^[0-9a-fA-F]{24}$/) || typeof targetId !== 'string' || !targetId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid category ID"
+            });
+        }
+
+        if (id === targetId) {
+            return res.status(400).json({
+                success: false,
+                message: "Cannot merge a category into itself"
+            });
+        }
+
+        let source = null;
+        let target = null;
+        let movedItems = 0;
+
+        await session.withTransaction(async () => {
+            [source, target] = await Promise.all([
+                Category.findById(id).session(session),
+                Category.findById(targetId).session(session)
+            ]);
+            if (!source || !target) {
+                return;
+            }
+
+            const result = await Menu.updateMany(
+                { category: source.name },
+                { $set: { category: target.name } },
+                { session }
+            );
+            movedItems = result.modifiedCount;
+
+            await Category.deleteOne({ _id: source._id }, { session });
+        });
+
+        if (!source || !target) {
+            return res.status(404).json({
+                success: false,
+                message: "Category not found"
+            });
+        }
+
+        await recordAudit(req, {
+            action: "category.merge",
+            entity: "Category",
+            entityId: source._id,
+            label: source.name,
+            before: source,
+            after: { mergedInto: target.name, movedItems }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Category "${source.name}" merged into "${target.name}"`,
+            data: target,
+            movedItems
+        });
+    } catch (err) {
+        return handleCategoryError(res, err, "Merge category");
+    } finally {
+        await session?.endSession();
+    }
+};
+
+// Delete an empty category. Categories that still have items, including items
+// in the trash, must be merged into another category instead.
+const deleteCategory = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid category ID"
+            });
+        }
+
+        const category = await Category.findById(id);
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: "Category not found"
+            });
+        }
+
+        const [itemCount, trashedCount] = await Promise.all([
+            Menu.countDocuments({ category: category.name, deletedAt: null }),
+            Menu.countDocuments({ category: category.name, deletedAt: { $ne: null } })
+        ]);
+        if (itemCount > 0 || trashedCount > 0) {
+            return res.status(409).json({
+                success: false,
+                message: trashedCount > 0
+                    ? `Category has ${itemCount} menu item(s) and ${trashedCount} in the trash. Merge it into another category instead.`
+                    : `Category has ${itemCount} menu item(s). Merge it into another category instead.`
+            });
+        }
+
+        await category.deleteOne();
+
+        await recordAudit(req, { action: "category.delete", entity: "Category", entityId: category._id, label: category.name, before: category });
+
+        return res.status(200).json({
+            success: true,
+            message: "Category deleted successfully",
+            data: category
+        });
+    } catch (err) {
+        return handleCategoryError(res, err, "Delete category");
+    }
+};
+
+module.exports = {
+    getCategories,
+    getAllCategories,
+    createCategory,
+    updateCategory,
+    mergeCategory,
+    deleteCategory
+};
@@ -0,0 +1,45 @@
+const { subscribe } = require("../utils/eventBus");
+const { hasPermission } = require("../utils/permissions");
+
+// Keep idle connections open through proxies
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Stream menu and order events to the client using Server-Sent Events
+const streamEvents = (req, res) => {
+    const { userId } = req.user;
+    const canSeeAllOrders = hasPermission(req.user, "orders:read");
+
+    res.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no" // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    // Tell the browser how long to wait before reconnecting
+    res.write("retry: 5000\n\n");
+
+    const send = (event) => {
+        // Customers only see their own order events; staff with orders:read see everything
+        if (event.userId && !canSeeAllOrders && event.userId !== userId) {
+            return;
+        }
+
+        res.write(`id: ${event.id}\n`);
+        res.write(`event: ${event.type}\n`);
+        res.write(`data: ${JSON.stringify({ data: event.data, timestamp: event.timestamp })}\n\n`);
+    };
+
+    const unsubscribe = subscribe(send);
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_INTERVAL_MS);
+
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+};
+
+module.exports = {
+    streamEvents
+};
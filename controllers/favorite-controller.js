@@ -0,0 +1,125 @@
+const Favorite = require("../models/Favorite");
+const Menu = require("../models/Menu");
+const Category = require("../models/Category");
+const { isAvailableAt } = require("../utils/availability");
+
+// The current user's favorite menu items, newest first. Items in the trash are
+// left out until they are restored.
+const getFavorites = async (req, res) => {
+    try {
+        const favorites = await Favorite.find({ user: req.user.userId })
+            .sort({ createdAt: -1 })
+            .populate('menuItem');
+
+        const live = favorites.filter(favorite => favorite.menuItem && !favorite.menuItem.deletedAt);
+
+        const categories = await Category.find({ name: { $in: [...new Set(live.map(favorite => favorite.menuItem.category))] } });
+        const categoryByName = new Map(categories.map(category => [category.name, category]));
+        const now = new Date();
+
+        return res.status(200).json({
+            success: true,
+            data: live.map(favorite => ({
+                ...favorite.menuItem.toObject(),
+                isAvailableNow: isAvailableAt(favorite.menuItem, categoryByName.get(favorite.menuItem.category), now),
+                favoritedAt: favorite.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error("Get favorites error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Add a menu item to the current user's favorites. Adding it again is a no-op.
+const addFavorite = async (req, res) => {
+    try {
+        const { menuItemId } = req.params;
+
+        // Validate ObjectId
+        if (!menuItemId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid menu item ID"
+            });
+        }
+
+        const menu = await Menu.exists({ _id: menuItemId, deletedAt: null });
+        if (!menu) {
+            return res.status(404).json({
+                success: false,
+                message: "Menu item not found"
+            });
+        }
+
+        const filter = { user: req.user.userId, menuItem: menuItemId };
+        let favorite;
+        try {
+            favorite = await Favorite.findOneAndUpdate(
+                filter,
+                { $setOnInsert: filter },
+                { upsert: true, new: true }
+            );
+        } catch (err) {
+            // A concurrent request added it first
+            if (err.code !== 11000) {
+                throw err;
+            }
+            favorite = await Favorite.findOne(filter);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Added to favorites",
+            data: favorite
+        });
+    } catch (error) {
+        console.error("Add favorite error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+const removeFavorite = async (req, res) => {
+    try {
+        const { menuItemId } = req.params;
+
+        // Validate ObjectId
+        if (!menuItemId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid menu item ID"
+            });
+        }
+
+        const result = await Favorite.deleteOne({ user: req.user.userId, menuItem: menuItemId });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "Menu item is not in your favorites"
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Removed from favorites"
+        });
+    } catch (error) {
+        console.error("Remove favorite error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+module.exports = {
+    getFavorites,
+    addFavorite,
+    removeFavorite
+};
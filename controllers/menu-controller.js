@@ -1,6 +1,47 @@
 
 
 const Menu = require("../models/Menu");
+const Cart = require("../models/Cart");
+const Category = require("../models/Category");
+const PriceChange = require("../models/PriceChange");
+const Review = require("../models/Review");
+const Favorite = require("../models/Favorite");
+const { publish } = require("../utils/eventBus");
+const { validateMenuOptions, normalizeModifierGroups, priceStatsPipeline } = require("../utils/menuOptions");
+const { isAvailableAt, validateSchedule, parseAt } = require("../utils/availability");
+const { refreshStockAvailability, announceStockChanges } = require("../utils/inventory");
+const { removeMenuImages } = require("../utils/images");
+const { recordAudit } = require("../utils/audit");
+const { recordPriceChange, applyDuePriceChangesIfStale } = require("../utils/priceHistory");
+const { parseDietaryQuery, resolveDietaryFilters, dietaryConditions } = require("../utils/dietary");
+const { getMenuVersion, isNotModified } = require("../utils/httpCache");
+const { sortKeys, encodeCursor, decodeCursor, afterCursor } = require("../utils/cursor");
+
+// Check that a category name refers to an active category. Returns an error
+// message listing the valid categories when it doesn't.
+const checkCategory = async (category) => {
+    const name = category.toLowerCase().trim();
+    const exists = await Category.exists({ name, isActive: true });
+    if (exists) {
+        return null;
+    }
+
+    const categories = await Category.find({ isActive: true }).sort({ displayOrder: 1, name: 1 });
+    return `Category must be one of: ${categories.map(c => c.name).join(", ")}`;
+};
+
+// Add the effective availability, taking item and category schedules into
+// account, to each menu item
+const withAvailability = async (menus, at) => {
+    const names = [...new Set(menus.map(menu => menu.category).filter(Boolean))];
+    const categories = await Category.find({ name: { $in: names } });
+    const categoryByName = new Map(categories.map(category => [category.name, category]));
+
+    return menus.map(menu => ({
+        ...menu.toObject(),
+        isAvailableNow: isAvailableAt(menu, categoryByName.get(menu.category), at)
+    }));
+};
 
 const addItemMenu = async (req, res) => {
     try {
@@ -16,7 +57,13 @@ const addItemMenu = async (req, res) => {
             preparationTime,
             nutritionalInfo,
             allergens,
-            spicyLevel
+            spicyLevel,
+            dietaryTags,
+            variants,
+            modifierGroups,
+            availability,
+            stockQuantity,
+            lowStockThreshold
         } = req.body;
 
         // Validation
@@ -36,31 +83,41 @@ const addItemMenu = async (req, res) => {
         }
 
         // Validate category
-        const validCategories = [
-            "soups & swallow",
-            "bread lovers corner",
-            "peppersoup corner",
-            "appetizers",
-            "dessert",
-            "beverage",
-            "light food options",
-            "breakfast menu",
-            "peppersoup corner",
-            "special"
+        const categoryError = await checkCategory(category);
+        if (categoryError) {
+            return res.status(400).json({
+                success: false,
+                message: categoryError
+            });
+        }
+
+        // Validate variants and modifier groups
+        const optionErrors = [
+            ...validateMenuOptions({ variants, modifierGroups }),
+            ...validateSchedule(availability)
         ];
-        if (!validCategories.includes(category.toLowerCase())) {
+        if (optionErrors.length > 0) {
             return res.status(400).json({
                 success: false,
-                message: `Category must be one of: ${validCategories.join(", ")}`
+                message: "Validation failed",
+                errors: optionErrors
             });
         }
 
+        // Names stay taken while an item is in the trash, so restoring it
+        // can never clash with a newer item
         const alreadyExists = await Menu.findOne({ name: name.trim() });
         if (alreadyExists) {
-            return res.status(409).json({
-                success: false,
-                message: "Menu item with this name already exists"
-            });
+            return res.status(409).json(alreadyExists.deletedAt
+                ? {
+                    success: false,
+                    message: "A deleted menu item with this name is in the trash. Restore or purge it first.",
+                    trashedItemId: alreadyExists._id
+                }
+                : {
+                    success: false,
+                    message: "Menu item with this name already exists"
+                });
         }
 
         // Create menu item data object
@@ -88,9 +145,32 @@ const addItemMenu = async (req, res) => {
         if (spicyLevel !== undefined) {
             menuData.spicyLevel = spicyLevel;
         }
+        if (dietaryTags && Array.isArray(dietaryTags)) {
+            menuData.dietaryTags = dietaryTags;
+        }
+        if (variants) {
+            menuData.variants = variants;
+        }
+        if (modifierGroups) {
+            menuData.modifierGroups = normalizeModifierGroups(modifierGroups);
+        }
+        if (availability) {
+            menuData.availability = availability;
+        }
+        if (stockQuantity !== undefined) {
+            menuData.stockQuantity = stockQuantity;
+        }
+        if (lowStockThreshold !== undefined) {
+            menuData.lowStockThreshold = lowStockThreshold;
+        }
 
         // Create menu item
-        const menu = await Menu.create(menuData);
+        const menu = await refreshStockAvailability(await Menu.create(menuData));
+
+        publish("menu:created", menu);
+
+        await recordPriceChange(menu, { source: "create", changedBy: req.user.userId });
+        await recordAudit(req, { action: "menu.create", entity: "Menu", entityId: menu._id, label: menu.name, after: menu });
 
         return res.status(201).json({
             success: true,
@@ -126,25 +206,46 @@ const getAllMenu = async (req, res) => {
             isAvailable,
             minPrice,
             maxPrice,
+            minRating,
+            excludeAllergens,
+            maxSpicyLevel,
+            dietary,
+            useProfile = 'true',
             sortBy = 'createdAt',
             sortOrder = 'desc',
             page = 1,
             limit = 10,
+            paginate = 'page',
+            cursor,
             fields,
-            includeMeta = 'false'
+            includeMeta = 'false',
+            at
         } = req.query;
 
-        // Build base query
-        let query = {};
+        // Point in time used to work out availability
+        const availableAt = parseAt(at);
+        if (!availableAt) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid 'at' date"
+            });
+        }
+
+        await applyDuePriceChangesIfStale();
+
+        // Build base query; items in the trash are never listed
+        let query = { deletedAt: null };
 
         // Search functionality
         if (q && q.trim() !== '') {
             query.$text = { $search: q.trim() };
         }
 
-        // Category filter
+        // Category filter, by name or slug
         if (category) {
-            query.category = category.toLowerCase().trim();
+            const value = category.toLowerCase().trim();
+            const categoryDoc = await Category.findOne({ $or: [{ name: value }, { slug: value }] });
+            query.category = categoryDoc ? categoryDoc.name : value;
         }
 
         // Availability filter
@@ -152,12 +253,35 @@ const getAllMenu = async (req, res) => {
             query.isAvailable = isAvailable === 'true';
         }
 
-        // Price range filter
+        // Price range filter. Items with variants match when any variant
+        // falls within the range.
         if (minPrice || maxPrice) {
-            query.price = {};
-            if (minPrice) query.price.$gte = parseFloat(minPrice);
-            if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+            const priceRange = {};
+            if (minPrice) priceRange.$gte = parseFloat(minPrice);
+            if (maxPrice) priceRange.$lte = parseFloat(maxPrice);
+            query.$or = [
+                { "variants.0": { $exists: false }, price: priceRange },
+                { variants: { $elemMatch: { price: priceRange } } }
+            ];
+        }
+
+        // Rating filter, on the average of approved reviews
+        if (minRating) {
+            query.averageRating = { $gte: parseFloat(minRating) };
+        }
+
+        // Dietary filters from the query, plus the saved profile of a
+        // signed-in user
+        const dietaryQuery = parseDietaryQuery({ excludeAllergens, maxSpicyLevel, dietary });
+        if (dietaryQuery.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: dietaryQuery.errors
+            });
         }
+        const dietaryFilters = await resolveDietaryFilters(req.user, dietaryQuery.filters, useProfile !== 'false');
+        const conditions = dietaryConditions(dietaryFilters);
 
         // Sorting logic
         let sort = {};
@@ -166,17 +290,62 @@ const getAllMenu = async (req, res) => {
             sort = { score: { $meta: "textScore" }, createdAt: -1 };
         } else {
             // Regular sorting
-            const validSortFields = ['name', 'price', 'createdAt', 'updatedAt', 'category'];
+            const validSortFields = ['name', 'price', 'createdAt', 'updatedAt', 'category', 'rating', 'reviewCount'];
             const sortField = validSortFields.includes(sortBy) ? sortBy : 'createdAt';
             const sortDirection = sortOrder === 'asc' ? 1 : -1;
-            sort[sortField] = sortDirection;
+            if (sortField === 'rating') {
+                // Break ties in favour of items with more reviews
+                sort = { averageRating: sortDirection, reviewCount: -1 };
+            } else {
+                sort[sortField] = sortDirection;
+            }
         }
 
-        // Pagination
-        const pageNum = Math.max(1, parseInt(page));
-        const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+        // Pagination, by page number or, with a cursor, after the last item
+        // of the previous page
+        const useCursor = paginate === 'cursor' || cursor !== undefined;
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
         const skip = (pageNum - 1) * limitNum;
 
+        let keys = null;
+        if (useCursor) {
+            if (q && q.trim() !== '') {
+                return res.status(400).json({
+                    success: false,
+                    message: "Cursor pagination isn't available for text search; use page instead"
+                });
+            }
+            keys = sortKeys(sort);
+            sort = Object.fromEntries(keys);
+            if (cursor) {
+                const values = decodeCursor(cursor, keys, Menu.schema);
+                if (!values) {
+                    return res.status(400).json({
+                        success: false,
+                        message: "Invalid cursor, or it was made for another sort order"
+                    });
+                }
+                conditions.push(afterCursor(keys, values));
+            }
+        }
+
+        if (conditions.length > 0) {
+            query.$and = conditions;
+        }
+
+        // Results depend on the filters and, for signed-in users, their
+        // dietary profile
+        res.set("Vary", "Authorization");
+        const version = await getMenuVersion();
+        if (isNotModified(req, res, {
+            updatedAt: version.updatedAt,
+            parts: [...version.parts, req.query, dietaryFilters],
+            timeDependent: at === undefined && version.hasSchedules
+        })) {
+            return res.status(304).end();
+        }
+
         // Field selection
         let selectFields = '';
         if (fields) {
@@ -184,46 +353,62 @@ const getAllMenu = async (req, res) => {
                 'name', 'price', 'description', 'featuredImage',
                 'images', 'isAvailable', 'ingredients', 'category',
                 'preparationTime', 'nutritionalInfo', 'allergens', 'spicyLevel',
+                'dietaryTags', 'variants', 'modifierGroups', 'availability', 'averageRating', 'reviewCount',
                 'createdAt', 'updatedAt'
             ];
             const requestedFields = fields.split(',')
                 .map(field => field.trim())
                 .filter(field => allowedFields.includes(field));
             if (requestedFields.length > 0) {
-                selectFields = requestedFields.join(' ');
+                // Always needed to work out isAvailableNow, and the sort
+                // fields to make the next cursor
+                const sortFields = keys ? keys.map(([field]) => field) : [];
+                selectFields = [...new Set([...requestedFields, 'isAvailable', 'availability', 'category', ...sortFields])].join(' ');
             }
         }
 
         // Execute main query
-        const menuQuery = Menu.find(query)
-            .sort(sort)
-            .skip(skip)
-            .limit(limitNum);
+        const menuQuery = Menu.find(query).sort(sort);
 
         if (selectFields) {
             menuQuery.select(selectFields);
         }
 
-        // Execute queries in parallel for better performance
-        const [menus, totalCount] = await Promise.all([
-            menuQuery,
-            Menu.countDocuments(query)
-        ]);
-
-        const totalPages = Math.ceil(totalCount / limitNum);
-
-        // Prepare response data
-        let responseData = {
-            success: true,
-            data: menus,
-            pagination: {
+        let menus;
+        let pagination;
+        if (useCursor) {
+            // One extra item tells whether there is a next page
+            const rows = await menuQuery.limit(limitNum + 1);
+            const hasNextPage = rows.length > limitNum;
+            menus = rows.slice(0, limitNum);
+            pagination = {
+                itemsPerPage: limitNum,
+                hasNextPage,
+                nextCursor: hasNextPage ? encodeCursor(menus[menus.length - 1], keys) : null
+            };
+        } else {
+            // Execute queries in parallel for better performance
+            const [rows, totalCount] = await Promise.all([
+                menuQuery.skip(skip).limit(limitNum),
+                Menu.countDocuments(query)
+            ]);
+            const totalPages = Math.ceil(totalCount / limitNum);
+            menus = rows;
+            pagination = {
                 currentPage: pageNum,
                 totalPages,
                 totalItems: totalCount,
                 itemsPerPage: limitNum,
                 hasNextPage: pageNum < totalPages,
                 hasPrevPage: pageNum > 1
-            }
+            };
+        }
+
+        // Prepare response data
+        let responseData = {
+            success: true,
+            data: await withAvailability(menus, availableAt),
+            pagination
         };
 
         // Add search-specific information if this was a search request
@@ -240,30 +425,26 @@ const getAllMenu = async (req, res) => {
             isAvailable,
             minPrice,
             maxPrice,
+            minRating,
+            dietary: dietaryFilters,
             sortBy,
-            sortOrder
+            sortOrder,
+            at: availableAt.toISOString()
         };
 
         // Include metadata if requested
         if (includeMeta === 'true') {
             const [categories, priceStats] = await Promise.all([
-                Menu.distinct('category'),
-                Menu.aggregate([
-                    {
-                        $group: {
-                            _id: null,
-                            minPrice: { $min: "$price" },
-                            maxPrice: { $max: "$price" },
-                            avgPrice: { $avg: "$price" }
-                        }
-                    }
-                ])
+                Menu.distinct('category', { deletedAt: null }),
+                Menu.aggregate(priceStatsPipeline({ deletedAt: null }))
             ]);
 
             const stats = priceStats[0] || { minPrice: 0, maxPrice: 0, avgPrice: 0 };
 
             responseData.metadata = {
                 categories: categories.sort(),
+                allergens: Menu.ALLERGENS,
+                dietaryTags: Menu.DIETARY_TAGS,
                 priceRange: {
                     minPrice: Math.floor(stats.minPrice || 0),
                     maxPrice: Math.ceil(stats.maxPrice || 0),
@@ -285,11 +466,23 @@ const getAllMenu = async (req, res) => {
 
 const getMenuCategories = async (req, res) => {
     try {
-        const categories = await Menu.distinct('category');
+        await applyDuePriceChangesIfStale();
+        const version = await getMenuVersion();
+        if (isNotModified(req, res, version)) {
+            return res.status(304).end();
+        }
+
+        // Active categories that have at least one item, in display order
+        const [categories, usedNames] = await Promise.all([
+            Category.find({ isActive: true }).sort({ displayOrder: 1, name: 1 }),
+            Menu.distinct('category', { deletedAt: null })
+        ]);
 
         return res.status(200).json({
             success: true,
-            data: categories.sort()
+            data: categories
+                .filter(category => usedNames.includes(category.name))
+                .map(category => category.name)
         });
     } catch (err) {
         console.error("Get categories error:", err);
@@ -302,16 +495,15 @@ const getMenuCategories = async (req, res) => {
 
 const getPriceRange = async (req, res) => {
     try {
-        const priceStats = await Menu.aggregate([
-            {
-                $group: {
-                    _id: null,
-                    minPrice: { $min: "$price" },
-                    maxPrice: { $max: "$price" },
-                    avgPrice: { $avg: "$price" }
-                }
-            }
-        ]);
+        await applyDuePriceChangesIfStale();
+        const version = await getMenuVersion();
+        if (isNotModified(req, res, version)) {
+            return res.status(304).end();
+        }
+
+        // Variant prices are taken into account; the average is of each
+        // item's starting price
+        const priceStats = await Menu.aggregate(priceStatsPipeline({ deletedAt: null }));
 
         const stats = priceStats[0] || { minPrice: 0, maxPrice: 0, avgPrice: 0 };
 
@@ -344,7 +536,16 @@ const getSingleMenuItem = async (req, res) => {
             });
         }
 
-        const menu = await Menu.findById(id);
+        const availableAt = parseAt(req.query.at);
+        if (!availableAt) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid 'at' date"
+            });
+        }
+
+        await applyDuePriceChangesIfStale();
+        const menu = await Menu.findOne({ _id: id, deletedAt: null });
 
         if (!menu) {
             return res.status(404).json({
@@ -353,9 +554,23 @@ const getSingleMenuItem = async (req, res) => {
             });
         }
 
+        // The item changes with its category's schedule too
+        const category = await Category.findOne({ name: menu.category });
+        const hasSchedule = Boolean(menu.availability || category?.availability);
+        if (isNotModified(req, res, {
+            updatedAt: [menu.updatedAt, category?.updatedAt],
+            parts: [req.query.at],
+            timeDependent: req.query.at === undefined && hasSchedule
+        })) {
+            return res.status(304).end();
+        }
+
         return res.status(200).json({
             success: true,
-            data: menu
+            data: {
+                ...menu.toObject(),
+                isAvailableNow: isAvailableAt(menu, category, availableAt)
+            }
         });
     } catch (err) {
         console.error("Get single menu item error:", err);
@@ -383,6 +598,12 @@ const editSingleMenuItem = async (req, res) => {
         delete updates._id;
         delete updates.createdAt;
         delete updates.updatedAt;
+        delete updates.stockDepletedAt;
+        delete updates.uploadedImages; // Managed by the image upload routes
+        delete updates.deletedAt; // Managed by delete and restore
+        delete updates.deletedBy;
+        delete updates.averageRating; // Calculated from reviews
+        delete updates.reviewCount;
 
         // Validate price if provided
         if (updates.price !== undefined) {
@@ -396,25 +617,32 @@ const editSingleMenuItem = async (req, res) => {
 
         // Validate category if provided
         if (updates.category) {
-            const validCategories = [
-                "soups & swallow",
-                "bread lovers corner",
-                "peppersoup corner",
-                "appetizers",
-                "dessert",
-                "beverage",
-                "light food options",
-                "breakfast menu",
-                "peppersoup corner",
-                "special"
-            ];
-            if (!validCategories.includes(updates.category.toLowerCase())) {
+            const categoryError = await checkCategory(updates.category);
+            if (categoryError) {
                 return res.status(400).json({
                     success: false,
-                    message: `Category must be one of: ${validCategories.join(", ")}`
+                    message: categoryError
                 });
             }
-            updates.category = updates.category;
+        }
+
+        // Validate variants, modifier groups and schedule if provided
+        const optionErrors = [
+            ...validateMenuOptions({
+                variants: updates.variants,
+                modifierGroups: updates.modifierGroups
+            }),
+            ...validateSchedule(updates.availability)
+        ];
+        if (optionErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: optionErrors
+            });
+        }
+        if (updates.modifierGroups) {
+            updates.modifierGroups = normalizeModifierGroups(updates.modifierGroups);
         }
 
         // Trim string fields
@@ -423,8 +651,27 @@ const editSingleMenuItem = async (req, res) => {
         if (updates.ingredients) updates.ingredients = updates.ingredients;
         if (updates.featuredImage) updates.featuredImage = updates.featuredImage.trim();
 
-        const menu = await Menu.findByIdAndUpdate(
-            id,
+        const before = await Menu.findOne({ _id: id, deletedAt: null });
+
+        // Update validators only see the fields sent, so check dietary tags
+        // against the allergens the item will have after the edit
+        if (before && (updates.dietaryTags !== undefined || updates.allergens !== undefined)) {
+            const conflicts = Menu.findDietaryConflicts(
+                updates.dietaryTags !== undefined ? updates.dietaryTags : before.dietaryTags,
+                updates.allergens !== undefined ? updates.allergens : before.allergens
+            );
+            if (conflicts.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Validation failed",
+                    errors: [`Dietary tags contradict the item's allergens: ${conflicts.join(", ")}`]
+                });
+            }
+        }
+
+        // Items in the trash must be restored before they can be edited
+        let menu = await Menu.findOneAndUpdate(
+            { _id: id, deletedAt: null },
             updates,
             {
                 new: true, // Return updated document
@@ -439,6 +686,21 @@ const editSingleMenuItem = async (req, res) => {
             });
         }
 
+        // A manual stock change may sell the item out or bring it back
+        if (updates.stockQuantity !== undefined) {
+            menu = await refreshStockAvailability(menu);
+        }
+
+        // Reprice and re-flag this item in customers' carts
+        await Cart.syncMenuItem(menu).catch(err => console.error("Cart sync error:", err));
+
+        publish("menu:updated", menu);
+
+        if (before) {
+            await recordPriceChange(menu, { previous: before, source: "edit", changedBy: req.user.userId });
+        }
+        await recordAudit(req, { action: "menu.update", entity: "Menu", entityId: menu._id, label: menu.name, before, after: menu });
+
         return res.status(200).json({
             success: true,
             message: "Menu item updated successfully",
@@ -464,6 +726,8 @@ const editSingleMenuItem = async (req, res) => {
     }
 };
 
+// Move a menu item to the trash. It disappears from the menu and can't be
+// ordered, but can be restored until it is purged.
 const deleteSingleMenuItem = async (req, res) => {
     try {
         const { id } = req.params;
@@ -476,7 +740,11 @@ const deleteSingleMenuItem = async (req, res) => {
             });
         }
 
-        const menu = await Menu.findByIdAndDelete(id);
+        const menu = await Menu.findOneAndUpdate(
+            { _id: id, deletedAt: null },
+            { $set: { deletedAt: new Date(), deletedBy: req.user.userId } },
+            { new: true }
+        );
 
         if (!menu) {
             return res.status(404).json({
@@ -485,9 +753,22 @@ const deleteSingleMenuItem = async (req, res) => {
             });
         }
 
+        await Cart.flagDeletedMenuItem(menu._id).catch(err => console.error("Cart sync error:", err));
+
+        publish("menu:deleted", { _id: menu._id, name: menu.name, category: menu.category });
+
+        await recordAudit(req, {
+            action: "menu.delete",
+            entity: "Menu",
+            entityId: menu._id,
+            label: menu.name,
+            before: { deletedAt: null },
+            after: { deletedAt: menu.deletedAt }
+        });
+
         return res.status(200).json({
             success: true,
-            message: "Menu item deleted successfully",
+            message: "Menu item moved to the trash",
             data: menu
         });
     } catch (err) {
@@ -499,6 +780,322 @@ const deleteSingleMenuItem = async (req, res) => {
     }
 };
 
+// Admin: items in the trash, most recently deleted first
+const getTrash = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        // Pagination
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+        const skip = (pageNum - 1) * limitNum;
+
+        const query = { deletedAt: { $ne: null } };
+        const [items, totalCount] = await Promise.all([
+            Menu.find(query)
+                .populate('deletedBy', 'name email')
+                .sort({ deletedAt: -1 })
+                .skip(skip)
+                .limit(limitNum),
+            Menu.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(totalCount / limitNum);
+
+        return res.status(200).json({
+            success: true,
+            data: items,
+            pagination: {
+                currentPage: pageNum,
+                totalPages,
+                totalItems: totalCount,
+                itemsPerPage: limitNum,
+                hasNextPage: pageNum < totalPages,
+                hasPrevPage: pageNum > 1
+            }
+        });
+    } catch (err) {
+        console.error("Get trash error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Admin: bring an item back from the trash. If its category no longer exists
+// a new `category` must be given.
+const restoreMenuItem = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const category = req.body?.category;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid menu item ID"
+            });
+        }
+
+        if (category !== undefined && typeof category !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: "Category must be a string"
+            });
+        }
+
+        let menu = await Menu.findOne({ _id: id, deletedAt: { $ne: null } });
+        if (!menu) {
+            return res.status(404).json({
+                success: false,
+                message: "Menu item not found in the trash"
+            });
+        }
+
+        const categoryError = await checkCategory(category || menu.category);
+        if (categoryError) {
+            return res.status(category ? 400 : 409).json({
+                success: false,
+                message: category
+                    ? categoryError
+                    : `Category "${menu.category}" is no longer active. Restore the item into another category. ${categoryError}`
+            });
+        }
+
+        const before = { deletedAt: menu.deletedAt, category: menu.category };
+
+        menu = await Menu.findOneAndUpdate(
+            { _id: id, deletedAt: { $ne: null } },
+            {
+                $set: { deletedAt: null, category: category || menu.category },
+                $unset: { deletedBy: 1 }
+            },
+            { new: true, runValidators: true }
+        );
+        if (!menu) {
+            return res.status(404).json({
+                success: false,
+                message: "Menu item not found in the trash"
+            });
+        }
+
+        // Lines left in customers' carts become orderable again
+        await Cart.syncMenuItem(menu).catch(err => console.error("Cart sync error:", err));
+
+        // To clients the item is new again
+        publish("menu:created", menu);
+
+        await recordAudit(req, {
+            action: "menu.restore",
+            entity: "Menu",
+            entityId: menu._id,
+            label: menu.name,
+            before,
+            after: { deletedAt: null, category: menu.category }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: "Menu item restored successfully",
+            data: menu
+        });
+    } catch (err) {
+        console.error("Restore menu item error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Admin: permanently delete an item in the trash, along with its uploaded
+// images. Past orders keep their own copy of the item's name and price.
+const purgeMenuItem = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid menu item ID"
+            });
+        }
+
+        const menu = await Menu.findOneAndDelete({ _id: id, deletedAt: { $ne: null } });
+        if (!menu) {
+            return res.status(404).json({
+                success: false,
+                message: "Menu item not found in the trash"
+            });
+        }
+
+        await removeMenuImages(menu.uploadedImages);
+        await PriceChange.deleteMany({ menuItem: menu._id });
+        await Review.deleteMany({ menuItem: menu._id });
+        await Favorite.deleteMany({ menuItem: menu._id });
+
+        await recordAudit(req, { action: "menu.purge", entity: "Menu", entityId: menu._id, label: menu.name, before: menu });
+
+        return res.status(200).json({
+            success: true,
+            message: "Menu item permanently deleted",
+            data: menu
+        });
+    } catch (err) {
+        console.error("Purge menu item error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Admin: set or adjust an item's stock. `quantity` sets the level (null
+// stops tracking); `adjustment` adds or removes stock atomically.
+const updateStock = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { quantity, adjustment, lowStockThreshold } = req.body;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid menu item ID"
+            });
+        }
+
+        if ((quantity === undefined) === (adjustment === undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: "Please provide either quantity or adjustment"
+            });
+        }
+
+        if (quantity !== undefined && quantity !== null && (!Number.isInteger(quantity) || quantity < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: "Quantity must be a whole number of at least 0, or null to stop tracking stock"
+            });
+        }
+
+        if (adjustment !== undefined && (!Number.isInteger(adjustment) || adjustment === 0)) {
+            return res.status(400).json({
+                success: false,
+                message: "Adjustment must be a non-zero whole number"
+            });
+        }
+
+        if (lowStockThreshold !== undefined && (typeof lowStockThreshold !== 'number' || lowStockThreshold < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: "Low stock threshold must be a positive number"
+            });
+        }
+
+        const update = quantity !== undefined
+            ? { $set: { stockQuantity: quantity } }
+            : { $inc: { stockQuantity: adjustment } };
+        if (lowStockThreshold !== undefined) {
+            update.$set = { ...update.$set, lowStockThreshold };
+        }
+
+        // Adjustments only apply to tracked items and can't take stock below zero
+        const filter = { _id: id, deletedAt: null };
+        if (adjustment !== undefined) {
+            filter.stockQuantity = adjustment < 0 ? { $gte: -adjustment } : { $ne: null };
+        }
+
+        const before = await Menu.findOne({ _id: id, deletedAt: null }).select('stockQuantity lowStockThreshold isAvailable');
+
+        let menu = await Menu.findOneAndUpdate(filter, update, { new: true, runValidators: true });
+
+        if (!menu) {
+            const exists = await Menu.findOne({ _id: id, deletedAt: null }).select('stockQuantity');
+            if (!exists) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Menu item not found"
+                });
+            }
+            return res.status(400).json({
+                success: false,
+                message: exists.stockQuantity === null
+                    ? "Stock is not tracked for this item. Set a quantity first."
+                    : `Cannot remove more than the ${exists.stockQuantity} in stock`
+            });
+        }
+
+        const wasAvailable = menu.isAvailable;
+        menu = await refreshStockAvailability(menu);
+        if (menu.isAvailable !== wasAvailable) {
+            await announceStockChanges([menu._id]);
+        }
+
+        await recordAudit(req, {
+            action: "menu.stock",
+            entity: "Menu",
+            entityId: menu._id,
+            label: menu.name,
+            before: before && { stockQuantity: before.stockQuantity, lowStockThreshold: before.lowStockThreshold, isAvailable: before.isAvailable },
+            after: { stockQuantity: menu.stockQuantity, lowStockThreshold: menu.lowStockThreshold, isAvailable: menu.isAvailable }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: "Stock updated successfully",
+            data: menu
+        });
+    } catch (err) {
+        console.error("Update stock error:", err);
+
+        // Handle validation errors
+        if (err.name === 'ValidationError') {
+            const errors = Object.values(err.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Admin: tracked items at or below their low stock threshold
+const getLowStockItems = async (req, res) => {
+    try {
+        const items = await Menu.find({
+            deletedAt: null,
+            stockQuantity: { $ne: null },
+            $expr: { $lte: ["$stockQuantity", "$lowStockThreshold"] }
+        })
+            .select('name category stockQuantity lowStockThreshold isAvailable stockDepletedAt')
+            .sort({ stockQuantity: 1, name: 1 });
+
+        return res.status(200).json({
+            success: true,
+            data: items,
+            summary: {
+                lowStock: items.filter(item => item.stockQuantity > 0).length,
+                outOfStock: items.filter(item => item.stockQuantity === 0).length
+            }
+        });
+    } catch (err) {
+        console.error("Get low stock items error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
 module.exports = {
     getAllMenu,
     getSingleMenuItem,
@@ -506,5 +1103,10 @@ module.exports = {
     deleteSingleMenuItem,
     addItemMenu,
     getMenuCategories,
-    getPriceRange
+    getPriceRange,
+    updateStock,
+    getLowStockItems,
+    getTrash,
+    restoreMenuItem,
+    purgeMenuItem
 };
\ No newline at end of file
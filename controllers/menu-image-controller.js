@@ -0,0 +1,171 @@
+const Menu = require("../models/Menu");
+const { publish } = require("../utils/eventBus");
+const { saveMenuImage, removeMenuImages } = require("../utils/images");
+const { recordAudit } = require("../utils/audit");
+
+// Upload a photo for a menu item. The resized image is added to `images` and
+// becomes the featured image when `featured` is "true" or the item has none.
+const uploadMenuImage = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const featured = req.body.featured === 'true';
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid menu item ID"
+            });
+        }
+
+        const exists = await Menu.exists({ _id: id, deletedAt: null });
+        if (!exists) {
+            return res.status(404).json({
+                success: false,
+                message: "Menu item not found"
+            });
+        }
+
+        const upload = await saveMenuImage(id, req.file);
+        if (upload.error) {
+            return res.status(400).json({
+                success: false,
+                message: upload.error
+            });
+        }
+
+        // Only attach the image if the item hasn't been moved to the trash
+        // or purged while the image was being processed
+        let menu = await Menu.findOneAndUpdate(
+            { _id: id, deletedAt: null },
+            { $push: { images: upload.url, uploadedImages: upload } },
+            { new: true }
+        );
+
+        if (menu && (featured || !menu.featuredImage)) {
+            const updated = await Menu.findOneAndUpdate(
+                { _id: id, deletedAt: null },
+                { $set: { featuredImage: upload.url } },
+                { new: true }
+            );
+
+            // Trashed in between: take the image back off again
+            if (!updated) {
+                await Menu.updateOne(
+                    { _id: id },
+                    { $pull: { images: upload.url, uploadedImages: { url: upload.url } } }
+                );
+            }
+            menu = updated;
+        }
+
+        if (!menu) {
+            await removeMenuImages([upload]);
+            return res.status(404).json({
+                success: false,
+                message: "Menu item not found"
+            });
+        }
+
+        publish("menu:updated", menu);
+
+        await recordAudit(req, {
+            action: "menu.image.add",
+            entity: "Menu",
+            entityId: menu._id,
+            label: menu.name,
+            before: {},
+            after: { image: upload.url, featuredImage: menu.featuredImage === upload.url ? upload.url : undefined }
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: "Image uploaded successfully",
+            image: menu.uploadedImages[menu.uploadedImages.length - 1],
+            data: menu
+        });
+    } catch (err) {
+        console.error("Upload menu image error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Remove an uploaded photo from a menu item and delete its files
+const deleteMenuImage = async (req, res) => {
+    try {
+        const { id, imageId } = req.params;
+
+        // Validate ObjectIds
+        if (!id.match(/^[0-9a-fA-F]{24}$/) || !imageId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid menu item or image ID"
+            });
+        }
+
+        const current = await Menu.findOne({ _id: id, "uploadedImages._id": imageId }, { "uploadedImages.$": 1 });
+        if (!current) {
+            return res.status(404).json({
+                success: false,
+                message: "Image not found"
+            });
+        }
+        const upload = current.uploadedImages[0];
+
+        let menu = await Menu.findByIdAndUpdate(
+            id,
+            { $pull: { uploadedImages: { _id: upload._id }, images: upload.url } },
+            { new: true }
+        );
+        if (!menu) {
+            return res.status(404).json({
+                success: false,
+                message: "Menu item not found"
+            });
+        }
+
+        // Fall back to the next image when the featured one was removed
+        if (menu.featuredImage === upload.url) {
+            menu = await Menu.findOneAndUpdate(
+                { _id: id, featuredImage: upload.url },
+                menu.images.length > 0
+                    ? { $set: { featuredImage: menu.images[0] } }
+                    : { $unset: { featuredImage: 1 } },
+                { new: true }
+            ) || menu;
+        }
+
+        await removeMenuImages([upload]);
+
+        publish("menu:updated", menu);
+
+        await recordAudit(req, {
+            action: "menu.image.remove",
+            entity: "Menu",
+            entityId: menu._id,
+            label: menu.name,
+            before: { image: upload.url },
+            after: {}
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: "Image deleted successfully",
+            data: menu
+        });
+    } catch (err) {
+        console.error("Delete menu image error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+module.exports = {
+    uploadMenuImage,
+    deleteMenuImage
+};
@@ -0,0 +1,176 @@
+const Menu = require("../models/Menu");
+const Category = require("../models/Category");
+const { isAvailableAt, parseAt } = require("../utils/availability");
+const { applyDuePriceChangesIfStale } = require("../utils/priceHistory");
+const { parseDietaryQuery, resolveDietaryFilters, dietaryConditions } = require("../utils/dietary");
+const { parseQuery, rankMenuItems } = require("../utils/search");
+
+// Fields read to rank items; the full items are loaded for the page shown
+const SEARCHED_FIELDS = 'name category ingredients description';
+
+// Search the menu with prefix, typo and synonym matching. Takes the same
+// category, availability and dietary filters as GET /menu; results are
+// ranked by relevance and carry highlighted snippets of where they matched.
+const searchMenu = async (req, res) => {
+    try {
+        const {
+            q,
+            category,
+            isAvailable,
+            excludeAllergens,
+            maxSpicyLevel,
+            dietary,
+            useProfile = 'true',
+            page = 1,
+            limit = 10,
+            at
+        } = req.query;
+
+        if (!q || parseQuery(q).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Search query 'q' is required"
+            });
+        }
+
+        const availableAt = parseAt(at);
+        if (!availableAt) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid 'at' date"
+            });
+        }
+
+        const dietaryQuery = parseDietaryQuery({ excludeAllergens, maxSpicyLevel, dietary });
+        if (dietaryQuery.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: dietaryQuery.errors
+            });
+        }
+
+        await applyDuePriceChangesIfStale();
+
+        // Items in the trash are never found
+        const query = { deletedAt: null };
+
+        // Category filter, by name or slug
+        if (category) {
+            const value = category.toLowerCase().trim();
+            const categoryDoc = await Category.findOne({ $or: [{ name: value }, { slug: value }] });
+            query.category = categoryDoc ? categoryDoc.name : value;
+        }
+
+        if (isAvailable !== undefined) {
+            query.isAvailable = isAvailable === 'true';
+        }
+
+        const dietaryFilters = await resolveDietaryFilters(req.user, dietaryQuery.filters, useProfile !== 'false');
+        const conditions = dietaryConditions(dietaryFilters);
+        if (conditions.length > 0) {
+            query.$and = conditions;
+        }
+
+        const candidates = await Menu.find(query).select(SEARCHED_FIELDS).lean();
+        const ranked = rankMenuItems(candidates, q);
+
+        // Pagination
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+        const pageResults = ranked.slice((pageNum - 1) * limitNum, pageNum * limitNum);
+        const totalPages = Math.ceil(ranked.length / limitNum);
+
+        const menus = await Menu.find({ _id: { $in: pageResults.map(result => result.menu._id) } });
+        const menuById = new Map(menus.map(menu => [menu._id.toString(), menu]));
+        const categories = await Category.find({ name: { $in: [...new Set(menus.map(menu => menu.category))] } });
+        const categoryByName = new Map(categories.map(category => [category.name, category]));
+
+        return res.status(200).json({
+            success: true,
+            data: pageResults
+                .filter(result => menuById.has(result.menu._id.toString()))
+                .map(result => {
+                    const menu = menuById.get(result.menu._id.toString());
+                    return {
+                        ...menu.toObject(),
+                        isAvailableNow: isAvailableAt(menu, categoryByName.get(menu.category), availableAt),
+                        searchScore: result.score,
+                        highlights: result.highlights
+                    };
+                }),
+            pagination: {
+                currentPage: pageNum,
+                totalPages,
+                totalItems: ranked.length,
+                itemsPerPage: limitNum,
+                hasNextPage: pageNum < totalPages,
+                hasPrevPage: pageNum > 1
+            },
+            searchInfo: {
+                query: q,
+                resultsFound: ranked.length
+            },
+            filters: {
+                category,
+                isAvailable,
+                dietary: dietaryFilters,
+                at: availableAt.toISOString()
+            }
+        });
+    } catch (err) {
+        console.error("Search menu error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Autocomplete for a search box: item names matching what has been typed so
+// far, matched on names and categories only so suggestions stay on topic
+const suggestMenuItems = async (req, res) => {
+    try {
+        const { q, limit = 8 } = req.query;
+
+        if (!q || parseQuery(q).length === 0) {
+            return res.status(200).json({
+                success: true,
+                data: []
+            });
+        }
+
+        const limitNum = Math.min(20, Math.max(1, parseInt(limit) || 8));
+        const candidates = await Menu.find({ deletedAt: null })
+            .select('name category price featuredImage isAvailable')
+            .lean();
+
+        const suggestions = rankMenuItems(candidates, q, { fields: ['name', 'category'] })
+            .slice(0, limitNum)
+            .map(({ menu, highlights }) => ({
+                _id: menu._id,
+                name: menu.name,
+                category: menu.category,
+                price: menu.price,
+                featuredImage: menu.featuredImage,
+                isAvailable: menu.isAvailable,
+                highlight: highlights.name || null
+            }));
+
+        return res.status(200).json({
+            success: true,
+            data: suggestions
+        });
+    } catch (err) {
+        console.error("Suggest menu items error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+module.exports = {
+    searchMenu,
+    suggestMenuItems
+};
@@ -0,0 +1,363 @@
+const path = require("path");
+const Menu = require("../models/Menu");
+const Cart = require("../models/Cart");
+const Category = require("../models/Category");
+const { publish } = require("../utils/eventBus");
+const { validateMenuOptions, normalizeModifierGroups } = require("../utils/menuOptions");
+const { validateSchedule } = require("../utils/availability");
+const { refreshStockAvailability } = require("../utils/inventory");
+const { diff, recordAudit } = require("../utils/audit");
+const { recordPriceChange } = require("../utils/priceHistory");
+const { parseCsv, toCsv } = require("../utils/csv");
+const {
+    MAX_IMPORT_ROWS,
+    toPortable,
+    toCsvTable,
+    readHeader,
+    fromCsvRow,
+    pickImportFields,
+    keepOptionIds
+} = require("../utils/menuTransfer");
+
+// Read the uploaded file into entries of { row, data, errors }. Rows are
+// numbered as a spreadsheet shows them, so the CSV header is row 1; JSON
+// items are numbered from 1. Returns { error } when the file can't be read.
+const readImportFile = (file) => {
+    const format = path.extname(file.originalname).slice(1).toLowerCase();
+    const text = file.buffer.toString("utf8");
+
+    if (format === "json") {
+        let items;
+        try {
+            items = JSON.parse(text);
+        } catch (err) {
+            return { error: "File is not valid JSON" };
+        }
+        if (!Array.isArray(items)) {
+            return { error: "JSON file must contain an array of menu items" };
+        }
+        return {
+            format,
+            ignoredColumns: [],
+            entries: items.map((item, index) => item && typeof item === 'object' && !Array.isArray(item)
+                ? { row: index + 1, data: pickImportFields(item), errors: [] }
+                : { row: index + 1, data: {}, errors: ["Item must be an object"] })
+        };
+    }
+
+    let rows;
+    try {
+        rows = parseCsv(text);
+    } catch (err) {
+        return { error: err.message };
+    }
+    if (rows.length === 0) {
+        return { error: "CSV file is empty" };
+    }
+
+    const { columns, ignored } = readHeader(rows[0]);
+    if (!columns.some(column => column?.name === "name")) {
+        return { error: "CSV file must have a header row with a name column" };
+    }
+
+    return {
+        format,
+        ignoredColumns: ignored,
+        entries: rows.slice(1).map((row, index) => ({ row: index + 2, ...fromCsvRow(columns, row) }))
+    };
+};
+
+// Work out what importing one entry would do and whether it is valid,
+// without saving. The checks match addItemMenu and editSingleMenuItem.
+const planEntry = async (entry, { existingByName, categoryNames, seenRows }) => {
+    const { data } = entry;
+    const errors = [...entry.errors];
+    const name = typeof data.name === 'string' ? data.name.trim() : "";
+    const plan = { row: entry.row, name: name || null, action: "create", errors };
+
+    if (!name) {
+        errors.push("Name is required");
+        return plan;
+    }
+    data.name = name;
+
+    if (seenRows.has(name)) {
+        errors.push(`Duplicate of row ${seenRows.get(name)}`);
+        return plan;
+    }
+    seenRows.set(name, entry.row);
+
+    const existing = existingByName.get(name);
+    if (existing?.deletedAt) {
+        errors.push("A deleted menu item with this name is in the trash. Restore or purge it first.");
+        return plan;
+    }
+    plan.action = existing ? "update" : "create";
+
+    if (!existing && (data.price === undefined || data.category === undefined)) {
+        errors.push("New items need a price and a category");
+    }
+    if (data.price !== undefined && (typeof data.price !== 'number' || data.price < 0)) {
+        errors.push("Price must be a positive number");
+    }
+    if (data.category !== undefined) {
+        data.category = typeof data.category === 'string' ? data.category.trim().toLowerCase() : data.category;
+        if (!categoryNames.has(data.category)) {
+            errors.push(`Category must be one of: ${[...categoryNames].join(", ")}`);
+        }
+    }
+    errors.push(
+        ...validateMenuOptions({ variants: data.variants, modifierGroups: data.modifierGroups }),
+        ...validateSchedule(data.availability)
+    );
+    if (errors.length > 0) {
+        return plan;
+    }
+
+    if (data.modifierGroups) {
+        data.modifierGroups = normalizeModifierGroups(data.modifierGroups);
+    }
+
+    let menu;
+    if (existing) {
+        plan.before = existing.toObject();
+        // CSV rows may only fill in some of the nutrition columns
+        if (data.nutritionalInfo) {
+            data.nutritionalInfo = { ...plan.before.nutritionalInfo, ...data.nutritionalInfo };
+        }
+        menu = existing;
+        menu.set(keepOptionIds(existing, data));
+    } else {
+        menu = new Menu(data);
+    }
+
+    try {
+        await menu.validate();
+    } catch (err) {
+        if (err.name !== 'ValidationError') {
+            throw err;
+        }
+        errors.push(...Object.values(err.errors).map(e => e.message));
+        return plan;
+    }
+
+    if (existing) {
+        const changes = diff(plan.before, menu);
+        plan.changes = [...new Set([...Object.keys(changes.before), ...Object.keys(changes.after)])];
+        if (plan.changes.length === 0) {
+            plan.action = "skip";
+        }
+    }
+    plan.menu = menu;
+
+    return plan;
+};
+
+// Save one planned create or update as part of the import transaction.
+// Returns the saved menu item.
+const savePlan = async (plan, session) => {
+    const menu = await plan.menu.save({ session });
+    if (plan.action === "create" || plan.changes.includes("stockQuantity")) {
+        return refreshStockAvailability(menu, session);
+    }
+    return menu;
+};
+
+// Once the import is committed, give each saved row the same side effects
+// as the single item routes
+const announcePlan = async (req, plan, menu) => {
+    if (plan.action === "create") {
+        publish("menu:created", menu);
+
+        await recordPriceChange(menu, { source: "create", changedBy: req.user.userId, note: "Imported" });
+        await recordAudit(req, { action: "menu.create", entity: "Menu", entityId: menu._id, label: menu.name, after: menu });
+        return;
+    }
+
+    await Cart.syncMenuItem(menu).catch(err => console.error("Cart sync error:", err));
+
+    publish("menu:updated", menu);
+
+    await recordPriceChange(menu, { previous: plan.before, source: "edit", changedBy: req.user.userId, note: "Imported" });
+    await recordAudit(req, { action: "menu.update", entity: "Menu", entityId: menu._id, label: menu.name, before: plan.before, after: menu });
+};
+
+const summarize = (plans) => {
+    const summary = { total: plans.length, create: 0, update: 0, skip: 0, error: 0 };
+    plans.forEach(plan => {
+        summary[plan.errors.length > 0 ? "error" : plan.action]++;
+    });
+    return summary;
+};
+
+const formatPlan = ({ row, name, action, errors, changes }) => ({
+    row,
+    name,
+    action: errors.length > 0 ? "error" : action,
+    ...(changes && changes.length > 0 && { changes }),
+    ...(errors.length > 0 && { errors })
+});
+
+// Per-row outcome and totals, plus any CSV columns that were not recognised
+const buildReport = (plans, file) => ({
+    summary: summarize(plans),
+    rows: plans.map(formatPlan),
+    ...(file.ignoredColumns.length > 0 && { ignoredColumns: file.ignoredColumns })
+});
+
+// Download the whole menu, excluding the trash, as CSV or JSON
+const exportMenu = async (req, res) => {
+    try {
+        const { format = 'json' } = req.query;
+
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: "Format must be csv or json"
+            });
+        }
+
+        const menus = await Menu.find({ deletedAt: null }).sort({ category: 1, name: 1 });
+        const filename = `menu-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'csv') {
+            const { header, rows } = toCsvTable(menus);
+            return res.status(200).type('text/csv; charset=utf-8').send(toCsv(header, rows));
+        }
+
+        return res.status(200).type('application/json').send(JSON.stringify(menus.map(toPortable), null, 2));
+    } catch (err) {
+        console.error("Export menu error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Create or update menu items from an uploaded CSV or JSON file, matching
+// existing items by name. Every row is checked first and nothing is saved
+// unless all of them are valid; with ?dryRun=true only the report is returned.
+const importMenu = async (req, res) => {
+    try {
+        const dryRun = req.query.dryRun === 'true';
+
+        const file = readImportFile(req.file);
+        if (file.error) {
+            return res.status(400).json({
+                success: false,
+                message: file.error
+            });
+        }
+
+        if (file.entries.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "File has no menu items"
+            });
+        }
+        if (file.entries.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot import more than ${MAX_IMPORT_ROWS} items at once`
+            });
+        }
+
+        const names = file.entries
+            .map(entry => entry.data.name)
+            .filter(name => typeof name === 'string')
+            .map(name => name.trim());
+        const [existingItems, categories] = await Promise.all([
+            Menu.find({ name: { $in: names } }),
+            Category.find({ isActive: true }).sort({ displayOrder: 1, name: 1 })
+        ]);
+
+        const context = {
+            existingByName: new Map(existingItems.map(menu => [menu.name, menu])),
+            categoryNames: new Set(categories.map(category => category.name)),
+            seenRows: new Map()
+        };
+
+        const plans = [];
+        for (const entry of file.entries) {
+            plans.push(await planEntry(entry, context));
+        }
+
+        const report = buildReport(plans, file);
+        const { summary } = report;
+
+        if (dryRun) {
+            return res.status(200).json({
+                success: true,
+                dryRun: true,
+                message: `${summary.create} to create, ${summary.update} to update, ${summary.skip} unchanged, ${summary.error} with errors`,
+                ...report
+            });
+        }
+
+        if (summary.error > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${summary.error} row(s) have errors. Nothing was imported.`,
+                ...report
+            });
+        }
+
+        // Rows were checked above, so a failure here is unexpected (e.g. a
+        // name taken by a concurrent request). All rows are saved in one
+        // transaction, so the first failure leaves the menu as it was.
+        // Connection#transaction resets the planned documents if an attempt
+        // is retried or aborted.
+        const pending = plans.filter(plan => plan.action !== "skip");
+        const saved = [];
+        let failedPlan = null;
+
+        try {
+            await Menu.db.transaction(async (session) => {
+                saved.length = 0;
+                failedPlan = null;
+
+                for (const plan of pending) {
+                    failedPlan = plan;
+                    saved.push(await savePlan(plan, session));
+                }
+                failedPlan = null;
+            });
+        } catch (err) {
+            if (!failedPlan) {
+                throw err;
+            }
+            console.error(`Import menu row ${failedPlan.row} error:`, err);
+            failedPlan.errors.push(err.code === 11000 ? "Menu item with this name already exists" : "Could not be saved");
+
+            return res.status(err.code === 11000 ? 409 : 500).json({
+                success: false,
+                message: `Row ${failedPlan.row} could not be saved. Nothing was imported.`,
+                ...buildReport(plans, file)
+            });
+        }
+
+        for (const [index, plan] of pending.entries()) {
+            await announcePlan(req, plan, saved[index]);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: `Imported ${summary.create} new and ${summary.update} updated item(s); ${summary.skip} unchanged`,
+            ...buildReport(plans, file)
+        });
+    } catch (err) {
+        console.error("Import menu error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+module.exports = {
+    exportMenu,
+    importMenu
+};
@@ -0,0 +1,413 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Menu = require("../models/Menu");
+const { publish } = require("../utils/eventBus");
+const { buildOrderItems } = require("../utils/orderBuilder");
+const { reserveStock, releaseStock, announceStockChanges } = require("../utils/inventory");
+const { hasPermission } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+const { applyPromotions, redeemPromotions, releasePromotions } = require("../utils/promotions");
+
+const createOrder = async (req, res) => {
+    try {
+        const { items, notes, orderType, promoCodes = [] } = req.body;
+
+        if (notes !== undefined && typeof notes !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: "Order notes must be a string"
+            });
+        }
+
+        if (!Array.isArray(promoCodes) || promoCodes.some(code => typeof code !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                message: "Promo codes must be an array of strings"
+            });
+        }
+
+        const built = await buildOrderItems(items);
+        if (built.error) {
+            return res.status(built.status || 400).json({
+                success: false,
+                message: built.error,
+                ...(built.details && { errors: built.details })
+            });
+        }
+
+        const pricing = await applyPromotions({
+            items: built.orderItems,
+            subtotal: built.subtotal,
+            userId: req.user.userId,
+            codes: promoCodes
+        });
+
+        const stock = await reserveStock(built.orderItems);
+        if (stock.error) {
+            return res.status(409).json({
+                success: false,
+                message: stock.error
+            });
+        }
+        built.orderItems.forEach(item => {
+            item.stockReserved = stock.reservedIds.includes(item.menuItem.toString());
+        });
+
+        // Count promotion uses against their limits before the order exists,
+        // so a promotion that just ran out isn't given away
+        const orderId = new mongoose.Types.ObjectId();
+        const redemption = await redeemPromotions(pricing.discounts, { userId: req.user.userId, orderId });
+        if (redemption.error) {
+            await releaseStock(built.orderItems);
+            return res.status(409).json({
+                success: false,
+                message: redemption.error
+            });
+        }
+
+        let order;
+        try {
+            order = await Order.create({
+                _id: orderId,
+                user: req.user.userId,
+                items: built.orderItems,
+                subtotal: built.subtotal,
+                discounts: pricing.discounts,
+                discountTotal: pricing.discountTotal,
+                total: pricing.total,
+                notes: notes?.trim(),
+                orderType
+            });
+        } catch (err) {
+            // Put the stock and promotion uses back if the order couldn't be saved
+            await releaseStock(built.orderItems);
+            await releasePromotions(orderId);
+            throw err;
+        }
+
+        publish("order:created", order, { userId: order.user });
+        await announceStockChanges(stock.depletedIds);
+
+        return res.status(201).json({
+            success: true,
+            message: "Order placed successfully",
+            data: order,
+            ...(pricing.rejectedCodes.length > 0 && { rejectedCodes: pricing.rejectedCodes })
+        });
+
+    } catch (err) {
+        console.error("Create order error:", err);
+
+        // Handle validation errors
+        if (err.name === 'ValidationError') {
+            const errors = Object.values(err.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+const getMyOrders = async (req, res) => {
+    try {
+        const { status, page = 1, limit = 10 } = req.query;
+
+        const query = { user: req.user.userId };
+        if (status) {
+            query.status = status.toLowerCase().trim();
+        }
+
+        // Pagination
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+        const skip = (pageNum - 1) * limitNum;
+
+        const [orders, totalCount] = await Promise.all([
+            Order.find(query).sort({ createdAt: -1 }).skip(skip).limit(limitNum),
+            Order.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(totalCount / limitNum);
+
+        return res.status(200).json({
+            success: true,
+            data: orders,
+            pagination: {
+                currentPage: pageNum,
+                totalPages,
+                totalItems: totalCount,
+                itemsPerPage: limitNum,
+                hasNextPage: pageNum < totalPages,
+                hasPrevPage: pageNum > 1
+            }
+        });
+    } catch (err) {
+        console.error("Get my orders error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+const getSingleOrder = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid order ID"
+            });
+        }
+
+        const order = await Order.findById(id);
+
+        // Customers can only see their own orders; staff with orders:read can see any
+        if (!order || (!hasPermission(req.user, "orders:read") && order.user.toString() !== req.user.userId)) {
+            return res.status(404).json({
+                success: false,
+                message: "Order not found"
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: order
+        });
+    } catch (err) {
+        console.error("Get single order error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Estimate when an order will be ready. Items are prepared in parallel, so the
+// slowest item on the order determines the estimate.
+const estimateReadyAt = async (order, from = new Date()) => {
+    const menuIds = order.items.map(item => item.menuItem);
+    const menus = await Menu.find({ _id: { $in: menuIds } }).select('preparationTime');
+    const longest = menus.reduce((max, menu) => Math.max(max, menu.preparationTime || 0), 0);
+    return new Date(from.getTime() + longest * 60 * 1000);
+};
+
+// Admin: list all orders, e.g. for the kitchen queue
+const getAllOrders = async (req, res) => {
+    try {
+        const { status, user, sortOrder = 'desc', page = 1, limit = 20 } = req.query;
+
+        const query = {};
+
+        // Status filter accepts a comma separated list, e.g. "confirmed,preparing"
+        if (status) {
+            const statuses = status.split(',')
+                .map(s => s.trim().toLowerCase())
+                .filter(s => Order.STATUSES.includes(s));
+            if (statuses.length > 0) {
+                query.status = { $in: statuses };
+            }
+        }
+
+        if (user) {
+            if (!user.match(/^[0-9a-fA-F]{24}$/)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid user ID"
+                });
+            }
+            query.user = user;
+        }
+
+        // Pagination
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+        const skip = (pageNum - 1) * limitNum;
+
+        const [orders, totalCount] = await Promise.all([
+            Order.find(query)
+                .sort({ createdAt: sortOrder === 'asc' ? 1 : -1 })
+                .skip(skip)
+                .limit(limitNum)
+                .populate('user', 'name email phoneNumber'),
+            Order.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(totalCount / limitNum);
+
+        return res.status(200).json({
+            success: true,
+            data: orders,
+            pagination: {
+                currentPage: pageNum,
+                totalPages,
+                totalItems: totalCount,
+                itemsPerPage: limitNum,
+                hasNextPage: pageNum < totalPages,
+                hasPrevPage: pageNum > 1
+            }
+        });
+    } catch (err) {
+        console.error("Get all orders error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Admin: move an order to its next status. A cancelled or rejected order
+// gives its stock and promotion uses back in the same transaction as the
+// status change, so they are never released without it or kept after it.
+const updateOrderStatus = async (req, res) => {
+    let session;
+
+    try {
+        const { id } = req.params;
+        const { status, note } = req.body;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid order ID"
+            });
+        }
+
+        if (!status || !Order.STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${Order.STATUSES.join(", ")}`
+            });
+        }
+
+        if (note !== undefined && typeof note !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: "Status note must be a string"
+            });
+        }
+
+        const order = await Order.findById(id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: "Order not found"
+            });
+        }
+
+        if (!order.canTransitionTo(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot change order status from ${order.status} to ${status}`
+            });
+        }
+
+        const now = new Date();
+        const update = {
+            $set: { status },
+            $push: {
+                statusHistory: {
+                    status,
+                    changedAt: now,
+                    changedBy: req.user.userId,
+                    note: note?.trim()
+                }
+            }
+        };
+
+        // Estimate is set when the order is accepted and refreshed once the
+        // kitchen actually starts on it
+        if (status === 'confirmed' || status === 'preparing') {
+            update.$set.estimatedReadyAt = await estimateReadyAt(order, now);
+        }
+
+        // Only apply the change if nobody else moved the order in the meantime
+        const applyStatus = (options = {}) => Order.findOneAndUpdate(
+            { _id: id, status: order.status },
+            update,
+            { new: true, runValidators: true, ...options }
+        );
+
+        let updatedOrder = null;
+        let restockedIds = [];
+
+        if (status === 'cancelled' || status === 'rejected') {
+            session = await mongoose.startSession();
+            await session.withTransaction(async () => {
+                restockedIds = [];
+
+                updatedOrder = await applyStatus({ session });
+                if (!updatedOrder) {
+                    return;
+                }
+
+                restockedIds = await releaseStock(updatedOrder.items, session);
+                await releasePromotions(updatedOrder._id, session);
+            });
+        } else {
+            updatedOrder = await applyStatus();
+        }
+
+        if (!updatedOrder) {
+            return res.status(409).json({
+                success: false,
+                message: "Order status was changed by someone else. Please refresh and try again."
+            });
+        }
+
+        await announceStockChanges(restockedIds);
+
+        publish("order:status", updatedOrder, { userId: updatedOrder.user });
+
+        await recordAudit(req, {
+            action: "order.status",
+            entity: "Order",
+            entityId: updatedOrder._id,
+            before: { status: order.status, estimatedReadyAt: order.estimatedReadyAt },
+            after: { status: updatedOrder.status, estimatedReadyAt: updatedOrder.estimatedReadyAt }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Order status updated to ${status}`,
+            data: updatedOrder
+        });
+    } catch (err) {
+        console.error("Update order status error:", err);
+
+        // Handle validation errors
+        if (err.name === 'ValidationError') {
+            const errors = Object.values(err.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    } finally {
+        await session?.endSession();
+    }
+};
+
+module.exports = {
+    createOrder,
+    getMyOrders,
+    getSingleOrder,
+    getAllOrders,
+    updateOrderStatus
+};
@@ -0,0 +1,298 @@
+const Menu = require("../models/Menu");
+const PriceChange = require("../models/PriceChange");
+const { recordAudit } = require("../utils/audit");
+
+// Admin: a menu item's price history, newest first. With `at`, also returns
+// the prices that applied at that moment.
+const getPriceHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { at, page = 1, limit = 20 } = req.query;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid menu item ID"
+            });
+        }
+
+        const atDate = at !== undefined ? new Date(at) : null;
+        if (atDate && isNaN(atDate)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid 'at' date"
+            });
+        }
+
+        const menu = await Menu.findById(id).select('name price variants');
+        if (!menu) {
+            return res.status(404).json({
+                success: false,
+                message: "Menu item not found"
+            });
+        }
+
+        // Pagination
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+        const skip = (pageNum - 1) * limitNum;
+
+        const query = { menuItem: id, status: "applied" };
+        const [history, totalCount, priceAt] = await Promise.all([
+            PriceChange.find(query)
+                .populate('changedBy', 'name email')
+                .sort({ effectiveFrom: -1 })
+                .skip(skip)
+                .limit(limitNum),
+            PriceChange.countDocuments(query),
+            atDate
+                ? PriceChange.findOne({ ...query, effectiveFrom: { $lte: atDate } }).sort({ effectiveFrom: -1 })
+                : null
+        ]);
+
+        const totalPages = Math.ceil(totalCount / limitNum);
+
+        const response = {
+            success: true,
+            menuItem: { _id: menu._id, name: menu.name, price: menu.price, variants: menu.variants },
+            data: history,
+            pagination: {
+                currentPage: pageNum,
+                totalPages,
+                totalItems: totalCount,
+                itemsPerPage: limitNum,
+                hasNextPage: pageNum < totalPages,
+                hasPrevPage: pageNum > 1
+            }
+        };
+        if (atDate) {
+            // null when the item had no recorded price yet at that time
+            response.priceAt = priceAt;
+        }
+
+        return res.status(200).json(response);
+    } catch (err) {
+        console.error("Get price history error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Admin: price changes scheduled for a menu item, soonest first
+const getScheduledPriceChanges = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid menu item ID"
+            });
+        }
+
+        const changes = await PriceChange.find({ menuItem: id, status: "scheduled" })
+            .populate('changedBy', 'name email')
+            .sort({ effectiveFrom: 1 });
+
+        return res.status(200).json({
+            success: true,
+            data: changes
+        });
+    } catch (err) {
+        console.error("Get scheduled price changes error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Admin: schedule a future change to a menu item's base price and/or variant
+// prices
+const schedulePriceChange = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { price, variants, effectiveFrom, note } = req.body;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid menu item ID"
+            });
+        }
+
+        const effectiveDate = new Date(effectiveFrom);
+        if (!effectiveFrom || isNaN(effectiveDate)) {
+            return res.status(400).json({
+                success: false,
+                message: "Please provide a valid effectiveFrom date"
+            });
+        }
+        if (effectiveDate <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: "effectiveFrom must be in the future. Edit the item to change its price now."
+            });
+        }
+
+        if (price === undefined && (variants === undefined || (Array.isArray(variants) && variants.length === 0))) {
+            return res.status(400).json({
+                success: false,
+                message: "Please provide a new price or variant prices"
+            });
+        }
+        if (price !== undefined && (typeof price !== 'number' || price < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: "Price must be a positive number"
+            });
+        }
+        if (note !== undefined && typeof note !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: "Note must be a string"
+            });
+        }
+
+        const menu = await Menu.findOne({ _id: id, deletedAt: null });
+        if (!menu) {
+            return res.status(404).json({
+                success: false,
+                message: "Menu item not found"
+            });
+        }
+
+        // Variants are given by ID and must exist on the item now
+        const variantPrices = [];
+        if (variants !== undefined) {
+            if (!Array.isArray(variants)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Variants must be an array"
+                });
+            }
+            const errors = [];
+            variants.forEach((entry, index) => {
+                const variant = menu.variants.find(v => v._id.toString() === entry?._id);
+                if (!variant) {
+                    errors.push(`Variant ${index + 1} is not a variant of ${menu.name}`);
+                } else if (typeof entry.price !== 'number' || entry.price < 0) {
+                    errors.push(`Variant ${index + 1} must have a positive price`);
+                } else if (variantPrices.some(v => v._id.equals(variant._id))) {
+                    errors.push(`Variant ${variant.name} is listed more than once`);
+                } else {
+                    variantPrices.push({ _id: variant._id, name: variant.name, price: entry.price });
+                }
+            });
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Validation failed",
+                    errors
+                });
+            }
+        }
+
+        const change = await PriceChange.create({
+            menuItem: menu._id,
+            price,
+            variants: variantPrices,
+            effectiveFrom: effectiveDate,
+            status: "scheduled",
+            source: "schedule",
+            changedBy: req.user.userId,
+            note
+        });
+
+        await recordAudit(req, {
+            action: "menu.price.schedule",
+            entity: "Menu",
+            entityId: menu._id,
+            label: menu.name,
+            before: {},
+            after: { price, variants: variantPrices, effectiveFrom: effectiveDate }
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: "Price change scheduled successfully",
+            data: change
+        });
+    } catch (err) {
+        console.error("Schedule price change error:", err);
+
+        // Handle validation errors
+        if (err.name === 'ValidationError') {
+            const errors = Object.values(err.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Admin: cancel a price change that hasn't taken effect yet
+const cancelPriceChange = async (req, res) => {
+    try {
+        const { id, changeId } = req.params;
+
+        // Validate ObjectIds
+        if (!id.match(/^[0-9a-fA-F]{24}$/) || !changeId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid menu item or price change ID"
+            });
+        }
+
+        const change = await PriceChange.findOneAndUpdate(
+            { _id: changeId, menuItem: id, status: "scheduled" },
+            { $set: { status: "cancelled" } },
+            { new: true }
+        );
+        if (!change) {
+            return res.status(404).json({
+                success: false,
+                message: "Scheduled price change not found"
+            });
+        }
+
+        await recordAudit(req, {
+            action: "menu.price.cancel",
+            entity: "Menu",
+            entityId: id,
+            before: { price: change.price, variants: change.variants, effectiveFrom: change.effectiveFrom },
+            after: {}
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: "Price change cancelled",
+            data: change
+        });
+    } catch (err) {
+        console.error("Cancel price change error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+module.exports = {
+    getPriceHistory,
+    getScheduledPriceChanges,
+    schedulePriceChange,
+    cancelPriceChange
+};
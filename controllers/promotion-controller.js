@@ -0,0 +1,330 @@
+const Promotion = require("../models/Promotion");
+const PromotionRedemption = require("../models/PromotionRedemption");
+const Category = require("../models/Category");
+const Cart = require("../models/Cart");
+const { buildOrderItems } = require("../utils/orderBuilder");
+const { validatePromotion, applyPromotions } = require("../utils/promotions");
+const { isScheduleActive } = require("../utils/availability");
+const { recordAudit } = require("../utils/audit");
+
+const PROMOTION_FIELDS = [
+    'name', 'description', 'code', 'type', 'value', 'buyQuantity', 'getQuantity', 'getDiscountPercent',
+    'scope', 'categories', 'menuItems', 'minSubtotal', 'maxDiscount', 'startsAt', 'endsAt', 'schedule',
+    'usageLimit', 'perUserLimit', 'isStackable', 'priority', 'isActive'
+];
+
+// Check a promotion's settings, including that its categories exist.
+// Returns a list of error messages, empty when valid.
+const checkPromotion = async (promotion) => {
+    const errors = validatePromotion(promotion);
+
+    if (errors.length === 0 && promotion.scope === "category") {
+        const names = promotion.categories.map(category => category.trim().toLowerCase());
+        const found = await Category.find({ name: { $in: names } }).distinct('name');
+        names.filter(name => !found.includes(name))
+            .forEach(name => errors.push(`Category "${name}" does not exist`));
+    }
+
+    return errors;
+};
+
+// Handle validation and duplicate key errors the same way for every mutation
+const handlePromotionError = (res, err, label) => {
+    console.error(`${label} error:`, err);
+
+    if (err.name === 'ValidationError') {
+        const errors = Object.values(err.errors).map(e => e.message);
+        return res.status(400).json({
+            success: false,
+            message: "Validation failed",
+            errors
+        });
+    }
+
+    if (err.code === 11000) {
+        return res.status(409).json({
+            success: false,
+            message: "A promotion with this code already exists"
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: "Internal server error"
+    });
+};
+
+// Public: automatic promotions running right now, e.g. to show a happy hour
+// banner. Code-only promotions are never listed.
+const getActivePromotions = async (req, res) => {
+    try {
+        const now = new Date();
+        const promotions = await Promotion.find({
+            code: null,
+            isActive: true,
+            $and: [
+                { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+                { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] }
+            ]
+        })
+            .select('name description type value buyQuantity getQuantity getDiscountPercent scope categories menuItems minSubtotal maxDiscount startsAt endsAt schedule usageLimit usageCount')
+            .sort({ priority: -1, createdAt: 1 });
+
+        const running = promotions.filter(promotion =>
+            isScheduleActive(promotion.schedule, now) &&
+            (!promotion.usageLimit || promotion.usageCount < promotion.usageLimit)
+        );
+
+        return res.status(200).json({
+            success: true,
+            data: running
+        });
+    } catch (err) {
+        return handlePromotionError(res, err, "Get active promotions");
+    }
+};
+
+// Price the given items, or the user's cart when none are given, with every
+// promotion that applies and any codes entered. Nothing is redeemed.
+const getQuote = async (req, res) => {
+    try {
+        const { items, promoCodes = [] } = req.body;
+
+        if (!Array.isArray(promoCodes) || promoCodes.some(code => typeof code !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                message: "Promo codes must be an array of strings"
+            });
+        }
+
+        let requested = items;
+        if (requested === undefined) {
+            const cart = await Cart.findOne({ user: req.user.userId });
+            requested = (cart?.items || [])
+                .filter(item => item.status === "available")
+                .map(item => ({
+                    menuItem: item.menuItem.toString(),
+                    variant: item.variant?.toString(),
+                    modifiers: item.modifiers.map(id => id.toString()),
+                    quantity: item.quantity,
+                    notes: item.notes
+                }));
+        }
+
+        const built = await buildOrderItems(requested);
+        if (built.error) {
+            return res.status(built.status || 400).json({
+                success: false,
+                message: built.error,
+                ...(built.details && { errors: built.details })
+            });
+        }
+
+        const pricing = await applyPromotions({
+            items: built.orderItems,
+            subtotal: built.subtotal,
+            userId: req.user.userId,
+            codes: promoCodes
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                items: built.orderItems,
+                ...pricing
+            }
+        });
+    } catch (err) {
+        return handlePromotionError(res, err, "Get quote");
+    }
+};
+
+// Admin: every promotion, with optional isActive and code/name search
+const listPromotions = async (req, res) => {
+    try {
+        const { isActive, q, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (isActive !== undefined) {
+            query.isActive = isActive === 'true';
+        }
+        if (q && q.trim() !== '') {
+            const pattern = new RegExp(q.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), 'i');
+            query.$or = [{ name: pattern }, { code: pattern }];
+        }
+
+        // Pagination
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+        const skip = (pageNum - 1) * limitNum;
+
+        const [promotions, totalCount] = await Promise.all([
+            Promotion.find(query).sort({ createdAt: -1 }).skip(skip).limit(limitNum),
+            Promotion.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(totalCount / limitNum);
+
+        return res.status(200).json({
+            success: true,
+            data: promotions,
+            pagination: {
+                currentPage: pageNum,
+                totalPages,
+                totalItems: totalCount,
+                itemsPerPage: limitNum,
+                hasNextPage: pageNum < totalPages,
+                hasPrevPage: pageNum > 1
+            }
+        });
+    } catch (err) {
+        return handlePromotionError(res, err, "List promotions");
+    }
+};
+
+const createPromotion = async (req, res) => {
+    try {
+        const data = {};
+        PROMOTION_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        if (!data.name || typeof data.name !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: "Please provide a promotion name"
+            });
+        }
+
+        const errors = await checkPromotion(data);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors
+            });
+        }
+
+        const promotion = await Promotion.create({ ...data, createdBy: req.user.userId });
+
+        await recordAudit(req, { action: "promotion.create", entity: "Promotion", entityId: promotion._id, label: promotion.name, after: promotion });
+
+        return res.status(201).json({
+            success: true,
+            message: "Promotion created successfully",
+            data: promotion
+        });
+    } catch (err) {
+        return handlePromotionError(res, err, "Create promotion");
+    }
+};
+
+const updatePromotion = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid promotion ID"
+            });
+        }
+
+        const promotion = await Promotion.findById(id);
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                message: "Promotion not found"
+            });
+        }
+
+        const updates = {};
+        PROMOTION_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field];
+        });
+
+        const errors = await checkPromotion({ ...promotion.toObject(), ...updates });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors
+            });
+        }
+
+        const before = promotion.toObject();
+        promotion.set(updates);
+        await promotion.save();
+
+        await recordAudit(req, { action: "promotion.update", entity: "Promotion", entityId: promotion._id, label: promotion.name, before, after: promotion });
+
+        return res.status(200).json({
+            success: true,
+            message: "Promotion updated successfully",
+            data: promotion
+        });
+    } catch (err) {
+        return handlePromotionError(res, err, "Update promotion");
+    }
+};
+
+// Delete a promotion that was never used. Used promotions are deactivated
+// instead, so past orders can still be traced to them.
+const deletePromotion = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid promotion ID"
+            });
+        }
+
+        const promotion = await Promotion.findById(id);
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                message: "Promotion not found"
+            });
+        }
+
+        const used = await PromotionRedemption.exists({ promotion: promotion._id });
+        if (used) {
+            promotion.isActive = false;
+            await promotion.save();
+        } else {
+            await promotion.deleteOne();
+        }
+
+        await recordAudit(req, {
+            action: used ? "promotion.deactivate" : "promotion.delete",
+            entity: "Promotion",
+            entityId: promotion._id,
+            label: promotion.name,
+            before: used ? { isActive: true } : promotion,
+            after: used ? { isActive: false } : null
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: used
+                ? "Promotion has been used, so it was deactivated instead of deleted"
+                : "Promotion deleted successfully",
+            data: promotion
+        });
+    } catch (err) {
+        return handlePromotionError(res, err, "Delete promotion");
+    }
+};
+
+module.exports = {
+    getActivePromotions,
+    getQuote,
+    listPromotions,
+    createPromotion,
+    updatePromotion,
+    deletePromotion
+};
@@ -0,0 +1,98 @@
+const Menu = require("../models/Menu");
+const Cart = require("../models/Cart");
+const { getOrderAgain, getOrderedTogether, getPopular, pickAvailable } = require("../utils/recommendations");
+const { parseDietaryQuery, resolveDietaryFilters } = require("../utils/dietary");
+
+// How many of a user's top items stand in for the cart when it is empty
+const SEED_ITEMS = 3;
+
+// Suggestions for the current user: items they often order, items often
+// ordered with what they're looking at (a given item, their cart, or their
+// usual order) and popular items in the same categories. Only items that can
+// be ordered now and fit the user's dietary profile are suggested.
+const getRecommendations = async (req, res) => {
+    try {
+        const { menuItem, limit = 10, excludeAllergens, maxSpicyLevel, dietary } = req.query;
+
+        if (menuItem !== undefined && !String(menuItem).match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid menu item ID"
+            });
+        }
+
+        // Filters in the query apply on top of the saved profile
+        const dietaryQuery = parseDietaryQuery({ excludeAllergens, maxSpicyLevel, dietary });
+        if (dietaryQuery.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: dietaryQuery.errors
+            });
+        }
+
+        const limitNum = Math.min(20, Math.max(1, parseInt(limit) || 10));
+        const userId = req.user.userId;
+
+        const [dietaryFilters, viewedItem, orderAgainCandidates] = await Promise.all([
+            resolveDietaryFilters(req.user, dietaryQuery.filters),
+            menuItem ? Menu.findOne({ _id: menuItem, deletedAt: null }).select('category') : null,
+            getOrderAgain(userId)
+        ]);
+
+        if (menuItem && !viewedItem) {
+            return res.status(404).json({
+                success: false,
+                message: "Menu item not found"
+            });
+        }
+
+        // What the suggestions are based on
+        let seeds;
+        if (viewedItem) {
+            seeds = [viewedItem._id];
+        } else {
+            const cart = await Cart.findOne({ user: userId }).select('items');
+            seeds = (cart?.items || [])
+                .filter(item => item.status === "available")
+                .map(item => item.menuItem);
+            if (seeds.length === 0) {
+                seeds = orderAgainCandidates.slice(0, SEED_ITEMS).map(candidate => candidate.menuItem);
+            }
+        }
+        const categories = viewedItem
+            ? [viewedItem.category]
+            : await Menu.find({ _id: { $in: seeds }, deletedAt: null }).distinct('category');
+
+        const options = { dietary: dietaryFilters, limit: limitNum, now: new Date() };
+        const [orderAgain, frequentlyOrderedTogether, popularInCategory] = await Promise.all([
+            pickAvailable(orderAgainCandidates, { ...options, excludeIds: viewedItem ? seeds : [] }),
+            getOrderedTogether(seeds).then(candidates => pickAvailable(candidates, { ...options, excludeIds: seeds })),
+            getPopular(categories).then(candidates => pickAvailable(candidates, { ...options, excludeIds: seeds }))
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                orderAgain,
+                frequentlyOrderedTogether,
+                popularInCategory
+            },
+            basedOn: {
+                menuItems: seeds,
+                categories
+            },
+            dietary: dietaryFilters
+        });
+    } catch (error) {
+        console.error("Get recommendations error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+module.exports = {
+    getRecommendations
+};
@@ -0,0 +1,405 @@
+const Menu = require("../models/Menu");
+const Review = require("../models/Review");
+const { hasPermission } = require("../utils/permissions");
+const { findReviewableOrder, refreshRating, ratingDistribution } = require("../utils/reviews");
+const { recordAudit } = require("../utils/audit");
+
+// Handle validation and duplicate key errors the same way for every mutation
+const handleReviewError = (res, err, label) => {
+    console.error(`${label} error:`, err);
+
+    if (err.name === 'ValidationError') {
+        const errors = Object.values(err.errors).map(e => e.message);
+        return res.status(400).json({
+            success: false,
+            message: "Validation failed",
+            errors
+        });
+    }
+
+    if (err.code === 11000) {
+        return res.status(409).json({
+            success: false,
+            message: "You have already reviewed this item. Edit your review instead."
+        });
+    }
+
+    return res.status(500).json({
+        success: false,
+        message: "Internal server error"
+    });
+};
+
+// Name a review in the audit log by the item it is about
+const reviewLabel = async (review) => {
+    const menu = await Menu.findById(review.menuItem).select('name');
+    return `Review of ${menu ? menu.name : review.menuItem}`;
+};
+
+const paginate = (page, limit, maxLimit) => {
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(maxLimit, Math.max(1, parseInt(limit) || 10));
+    return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+const paginationInfo = (pageNum, limitNum, totalCount) => {
+    const totalPages = Math.ceil(totalCount / limitNum);
+    return {
+        currentPage: pageNum,
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+    };
+};
+
+// Public: approved reviews of a menu item, with its rating summary
+const getMenuReviews = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { sort = 'newest', page = 1, limit = 10 } = req.query;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid menu item ID"
+            });
+        }
+
+        const menu = await Menu.findOne({ _id: id, deletedAt: null }).select('name averageRating reviewCount');
+        if (!menu) {
+            return res.status(404).json({
+                success: false,
+                message: "Menu item not found"
+            });
+        }
+
+        const sortOptions = {
+            newest: { createdAt: -1 },
+            highest: { rating: -1, createdAt: -1 },
+            lowest: { rating: 1, createdAt: -1 }
+        };
+        const { pageNum, limitNum, skip } = paginate(page, limit, 50);
+        const query = { menuItem: id, status: "approved" };
+
+        const [reviews, totalCount, distribution] = await Promise.all([
+            Review.find(query)
+                .sort(sortOptions[sort] || sortOptions.newest)
+                .skip(skip)
+                .limit(limitNum)
+                .select('rating text photoUrl createdAt updatedAt')
+                .populate('user', 'name'),
+            Review.countDocuments(query),
+            ratingDistribution(id)
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            summary: {
+                averageRating: menu.averageRating,
+                reviewCount: menu.reviewCount,
+                distribution
+            },
+            data: reviews,
+            pagination: paginationInfo(pageNum, limitNum, totalCount)
+        });
+    } catch (err) {
+        return handleReviewError(res, err, "Get menu reviews");
+    }
+};
+
+// Review a menu item the user has received in a completed order
+const addReview = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { rating, text, photoUrl } = req.body;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid menu item ID"
+            });
+        }
+
+        const menu = await Menu.findOne({ _id: id, deletedAt: null }).select('name');
+        if (!menu) {
+            return res.status(404).json({
+                success: false,
+                message: "Menu item not found"
+            });
+        }
+
+        const order = await findReviewableOrder(req.user.userId, id);
+        if (!order) {
+            return res.status(403).json({
+                success: false,
+                message: "You can only review items from your completed orders"
+            });
+        }
+
+        const existing = await Review.findOne({ user: req.user.userId, menuItem: id }).select('_id');
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: "You have already reviewed this item. Edit your review instead.",
+                reviewId: existing._id
+            });
+        }
+
+        const review = await Review.create({
+            user: req.user.userId,
+            menuItem: id,
+            order: order._id,
+            rating,
+            text,
+            photoUrl
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: "Thanks for your review! It will appear once it has been approved.",
+            data: review
+        });
+    } catch (err) {
+        return handleReviewError(res, err, "Add review");
+    }
+};
+
+// The current user's reviews, whatever their status
+const getMyReviews = async (req, res) => {
+    try {
+        const { page = 1, limit = 10 } = req.query;
+        const { pageNum, limitNum, skip } = paginate(page, limit, 50);
+        const query = { user: req.user.userId };
+
+        const [reviews, totalCount] = await Promise.all([
+            Review.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limitNum)
+                .select('-moderatedBy -moderationNote')
+                .populate('menuItem', 'name featuredImage'),
+            Review.countDocuments(query)
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            data: reviews,
+            pagination: paginationInfo(pageNum, limitNum, totalCount)
+        });
+    } catch (err) {
+        return handleReviewError(res, err, "Get my reviews");
+    }
+};
+
+// Edit the current user's review. It goes back to moderation.
+const updateMyReview = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid review ID"
+            });
+        }
+
+        const review = await Review.findOne({ _id: id, user: req.user.userId });
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: "Review not found"
+            });
+        }
+
+        const allowedFields = ['rating', 'text', 'photoUrl'];
+        allowedFields.forEach(field => {
+            if (req.body[field] !== undefined) review[field] = req.body[field];
+        });
+
+        const wasApproved = review.status === "approved";
+        review.status = "pending";
+        review.moderatedBy = undefined;
+        review.moderatedAt = undefined;
+        await review.save();
+
+        if (wasApproved) {
+            await refreshRating(review.menuItem);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Review updated. It will appear again once it has been approved.",
+            data: review
+        });
+    } catch (err) {
+        return handleReviewError(res, err, "Update review");
+    }
+};
+
+// Delete a review: customers may delete their own, moderators any
+const deleteReview = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid review ID"
+            });
+        }
+
+        const review = await Review.findById(id);
+        const isOwner = review && review.user.toString() === req.user.userId;
+        if (!review || (!isOwner && !hasPermission(req.user, "reviews:moderate"))) {
+            return res.status(404).json({
+                success: false,
+                message: "Review not found"
+            });
+        }
+
+        await review.deleteOne();
+
+        if (review.status === "approved") {
+            await refreshRating(review.menuItem);
+        }
+
+        if (!isOwner) {
+            await recordAudit(req, { action: "review.delete", entity: "Review", entityId: review._id, label: await reviewLabel(review), before: review });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Review deleted successfully"
+        });
+    } catch (err) {
+        return handleReviewError(res, err, "Delete review");
+    }
+};
+
+// Moderators: reviews to moderate, pending ones first by default
+const listReviews = async (req, res) => {
+    try {
+        const { status = 'pending', menuItem, rating, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (status !== 'all') {
+            if (!Review.STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Status must be one of: all, ${Review.STATUSES.join(", ")}`
+                });
+            }
+            query.status = status;
+        }
+        if (menuItem) {
+            if (!menuItem.match(/^[0-9a-fA-F]{24}$/)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid menu item ID"
+                });
+            }
+            query.menuItem = menuItem;
+        }
+        if (rating) {
+            query.rating = parseInt(rating);
+        }
+
+        const { pageNum, limitNum, skip } = paginate(page, limit, 100);
+
+        const [reviews, totalCount] = await Promise.all([
+            Review.find(query)
+                .sort({ createdAt: status === 'pending' ? 1 : -1 })
+                .skip(skip)
+                .limit(limitNum)
+                .populate('user', 'name email')
+                .populate('menuItem', 'name')
+                .populate('moderatedBy', 'name email'),
+            Review.countDocuments(query)
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            data: reviews,
+            pagination: paginationInfo(pageNum, limitNum, totalCount)
+        });
+    } catch (err) {
+        return handleReviewError(res, err, "List reviews");
+    }
+};
+
+// Moderators: approve or hide a review
+const moderateReview = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, note } = req.body;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid review ID"
+            });
+        }
+
+        if (!["approved", "hidden"].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: "Status must be approved or hidden"
+            });
+        }
+
+        const review = await Review.findById(id);
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: "Review not found"
+            });
+        }
+
+        const previousStatus = review.status;
+        review.status = status;
+        review.moderatedBy = req.user.userId;
+        review.moderatedAt = new Date();
+        if (note !== undefined) {
+            review.moderationNote = note;
+        }
+        await review.save();
+
+        if (previousStatus !== status) {
+            await refreshRating(review.menuItem);
+        }
+
+        await recordAudit(req, {
+            action: "review.moderate",
+            entity: "Review",
+            entityId: review._id,
+            label: await reviewLabel(review),
+            before: { status: previousStatus },
+            after: { status, ...(note !== undefined && { moderationNote: review.moderationNote }) }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: status === "approved" ? "Review approved" : "Review hidden",
+            data: review
+        });
+    } catch (err) {
+        return handleReviewError(res, err, "Moderate review");
+    }
+};
+
+module.exports = {
+    getMenuReviews,
+    addReview,
+    getMyReviews,
+    updateMyReview,
+    deleteReview,
+    listReviews,
+    moderateReview
+};
@@ -0,0 +1,120 @@
+const Role = require("../models/Role");
+const { getPermissions, clearPermissionCache } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+
+// List every role with the permissions it currently grants
+const getRoles = async (req, res) => {
+    try {
+        const roles = await Role.find().sort({ createdAt: 1 });
+        const data = await Promise.all(roles.map(async role => ({
+            name: role.name,
+            description: role.description,
+            permissions: await getPermissions(role.name),
+            isEditable: role.name !== "owner",
+            updatedAt: role.updatedAt
+        })));
+
+        return res.status(200).json({
+            success: true,
+            data,
+            availablePermissions: Role.PERMISSIONS
+        });
+    } catch (err) {
+        console.error("Get roles error:", err);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Replace the permissions granted by a role. The owner role always has every
+// permission and can't be changed.
+const updateRolePermissions = async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { permissions, description } = req.body;
+
+        if (!Role.ROLES.includes(name)) {
+            return res.status(404).json({
+                success: false,
+                message: "Role not found"
+            });
+        }
+
+        if (name === "owner") {
+            return res.status(400).json({
+                success: false,
+                message: "The owner role always has every permission"
+            });
+        }
+
+        if (!Array.isArray(permissions)) {
+            return res.status(400).json({
+                success: false,
+                message: "Permissions must be an array"
+            });
+        }
+
+        const invalid = permissions.filter(permission => !Role.PERMISSIONS.includes(permission));
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Permission must be one of: ${Role.PERMISSIONS.join(", ")}`,
+                errors: invalid
+            });
+        }
+
+        const update = { permissions: [...new Set(permissions)], knownPermissions: Role.PERMISSIONS };
+        if (description !== undefined) {
+            update.description = description;
+        }
+
+        const before = await Role.findOne({ name }).select("permissions description");
+
+        const role = await Role.findOneAndUpdate(
+            { name },
+            { $set: update },
+            { new: true, upsert: true, runValidators: true }
+        );
+
+        clearPermissionCache();
+
+        await recordAudit(req, {
+            action: "role.update",
+            entity: "Role",
+            entityId: name,
+            label: name,
+            before: before && { permissions: before.permissions, description: before.description },
+            after: { permissions: role.permissions, description: role.description }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Permissions for ${name} updated successfully`,
+            data: role
+        });
+    } catch (err) {
+        console.error("Update role permissions error:", err);
+
+        // Handle validation errors
+        if (err.name === 'ValidationError') {
+            const errors = Object.values(err.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+module.exports = {
+    getRoles,
+    updateRolePermissions
+};
@@ -0,0 +1,367 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Order = require("../models/Order");
+const RefreshToken = require("../models/RefreshToken");
+const Role = require("../models/Role");
+const { getPermissions } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Fields an admin sees for each user
+const formatUser = (user) => ({
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    phoneNumber: user.phoneNumber,
+    role: user.role,
+    isActive: user.isActive,
+    isEmailVerified: user.isEmailVerified,
+    lastLogin: user.lastLogin,
+    deletedAt: user.deletedAt,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+});
+
+// Whether a change to this user would leave the restaurant with no active
+// owner or admin
+const isLastActiveAdmin = async (user) => {
+    if (!Role.ADMIN_ROLES.includes(user.role) || !user.isActive) {
+        return false;
+    }
+    const otherAdmins = await User.countDocuments({ role: { $in: Role.ADMIN_ROLES }, isActive: true, _id: { $ne: user._id } });
+    return otherAdmins === 0;
+};
+
+// Staff may only manage users, and hand out roles, whose permissions they
+// hold themselves, so nobody can grant more power than they have
+const canManageRole = async (actor, role) => {
+    const rolePermissions = await getPermissions(role);
+    return rolePermissions.every(permission => actor.permissions.includes(permission));
+};
+
+// List users with search by name, email or phone number
+const listUsers = async (req, res) => {
+    try {
+        const {
+            q,
+            role,
+            isActive,
+            includeDeleted = 'false',
+            sortBy = 'createdAt',
+            sortOrder = 'desc',
+            page = 1,
+            limit = 20
+        } = req.query;
+
+        const query = {};
+
+        if (q && q.trim() !== '') {
+            const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+            query.$or = [{ name: pattern }, { email: pattern }, { phoneNumber: pattern }];
+        }
+        if (role !== undefined) {
+            if (typeof role !== 'string' || !Role.ROLES.includes(role)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Role must be one of: ${Role.ROLES.join(", ")}`
+                });
+            }
+            query.role = role;
+        }
+        if (isActive !== undefined) {
+            query.isActive = isActive === 'true';
+        }
+        if (includeDeleted !== 'true') {
+            query.deletedAt = { $exists: false };
+        }
+
+        const validSortFields = ['name', 'email', 'createdAt', 'lastLogin', 'role'];
+        const sortField = validSortFields.includes(sortBy) ? sortBy : 'createdAt';
+        const sort = { [sortField]: sortOrder === 'asc' ? 1 : -1 };
+
+        // Pagination
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+        const skip = (pageNum - 1) * limitNum;
+
+        const [users, totalCount] = await Promise.all([
+            User.find(query).sort(sort).skip(skip).limit(limitNum),
+            User.countDocuments(query)
+        ]);
+
+        const totalPages = Math.ceil(totalCount / limitNum);
+
+        return res.status(200).json({
+            success: true,
+            data: users.map(formatUser),
+            pagination: {
+                currentPage: pageNum,
+                totalPages,
+                totalItems: totalCount,
+                itemsPerPage: limitNum,
+                hasNextPage: pageNum < totalPages,
+                hasPrevPage: pageNum > 1
+            }
+        });
+    } catch (error) {
+        console.error("List users error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Get one user with a summary of their orders
+const getUser = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid user ID"
+            });
+        }
+
+        const user = await User.findById(id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found"
+            });
+        }
+
+        const [summary] = await Order.aggregate([
+            { $match: { user: new mongoose.Types.ObjectId(id) } },
+            {
+                $group: {
+                    _id: null,
+                    totalOrders: { $sum: 1 },
+                    completedOrders: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
+                    totalSpent: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, "$total", 0] } },
+                    lastOrderAt: { $max: "$createdAt" }
+                }
+            }
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            user: formatUser(user),
+            orderSummary: {
+                totalOrders: summary?.totalOrders || 0,
+                completedOrders: summary?.completedOrders || 0,
+                totalSpent: Math.round((summary?.totalSpent || 0) * 100) / 100,
+                lastOrderAt: summary?.lastOrderAt || null
+            }
+        });
+    } catch (error) {
+        console.error("Get user error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Get a user's order history
+const getUserOrders = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { page = 1, limit = 10 } = req.query;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid user ID"
+            });
+        }
+
+        // Pagination
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+        const skip = (pageNum - 1) * limitNum;
+
+        const [orders, totalCount] = await Promise.all([
+            Order.find({ user: id }).sort({ createdAt: -1 }).skip(skip).limit(limitNum),
+            Order.countDocuments({ user: id })
+        ]);
+
+        const totalPages = Math.ceil(totalCount / limitNum);
+
+        return res.status(200).json({
+            success: true,
+            data: orders,
+            pagination: {
+                currentPage: pageNum,
+                totalPages,
+                totalItems: totalCount,
+                itemsPerPage: limitNum,
+                hasNextPage: pageNum < totalPages,
+                hasPrevPage: pageNum > 1
+            }
+        });
+    } catch (error) {
+        console.error("Get user orders error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Promote or demote a user
+const updateUserRole = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { role } = req.body;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid user ID"
+            });
+        }
+
+        if (!Role.ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of: ${Role.ROLES.join(", ")}`
+            });
+        }
+
+        const user = await User.findById(id);
+        if (!user || user.deletedAt) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found"
+            });
+        }
+
+        if (!await canManageRole(req.user, user.role) || !await canManageRole(req.user, role)) {
+            return res.status(403).json({
+                success: false,
+                message: "You cannot assign or change a role with more permissions than your own"
+            });
+        }
+
+        if (!Role.ADMIN_ROLES.includes(role) && await isLastActiveAdmin(user)) {
+            return res.status(409).json({
+                success: false,
+                message: "Cannot demote the last active admin"
+            });
+        }
+
+        const previousRole = user.role;
+        user.role = role;
+        await user.save();
+
+        await recordAudit(req, {
+            action: "user.role",
+            entity: "User",
+            entityId: user._id,
+            label: user.email,
+            before: { role: previousRole },
+            after: { role }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `User role updated to ${role}`,
+            user: formatUser(user)
+        });
+    } catch (error) {
+        console.error("Update user role error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Deactivate or reactivate a user. Deactivation logs them out everywhere.
+const updateUserStatus = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { isActive } = req.body;
+
+        // Validate ObjectId
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid user ID"
+            });
+        }
+
+        if (typeof isActive !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: "isActive must be true or false"
+            });
+        }
+
+        const user = await User.findById(id);
+        if (!user || user.deletedAt) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found"
+            });
+        }
+
+        if (!await canManageRole(req.user, user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: "You cannot change the status of a user with more permissions than your own"
+            });
+        }
+
+        if (!isActive && await isLastActiveAdmin(user)) {
+            return res.status(409).json({
+                success: false,
+                message: "Cannot deactivate the last active admin"
+            });
+        }
+
+        const wasActive = user.isActive;
+        user.isActive = isActive;
+        await user.save();
+
+        await recordAudit(req, {
+            action: "user.status",
+            entity: "User",
+            entityId: user._id,
+            label: user.email,
+            before: { isActive: wasActive },
+            after: { isActive }
+        });
+
+        if (!isActive) {
+            await RefreshToken.revokeAllForUser(user._id);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: isActive ? "User reactivated" : "User deactivated",
+            user: formatUser(user)
+        });
+    } catch (error) {
+        console.error("Update user status error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+module.exports = {
+    listUsers,
+    getUser,
+    getUserOrders,
+    updateUserRole,
+    updateUserStatus
+};
@@ -1,8 +1,29 @@
 
 
 const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const VerificationToken = require("../models/VerificationToken");
+const Cart = require("../models/Cart");
+const Order = require("../models/Order");
+const Role = require("../models/Role");
+const Favorite = require("../models/Favorite");
+const { sendMail, mailUnavailableReason } = require("../utils/mailer");
+const { recordAudit } = require("../utils/audit");
 const bcrypt = require("bcryptjs"); // Changed from bcrypt to bcryptjs
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+
+// Token lifetimes
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const PASSWORD_RESET_EXPIRES_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_EXPIRES_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Base URL for links in emails
+const APP_URL = process.env.APP_URL || process.env.FRONTEND_URL || "http://localhost:3000";
+
+// Dietary profile fields a user can set, each updated on its own
+const DIETARY_PROFILE_FIELDS = ['excludedAllergens', 'maxSpicyLevel', 'dietaryTags'];
 
 // Input validation helper
 const validateInput = (fields) => {
@@ -17,19 +38,87 @@ const validateInput = (fields) => {
     return errors;
 };
 
-// Generate JWT token
-const generateToken = (user) => {
+// Generate a short-lived JWT access token. `sid` ties it to a login session
+// and `tv` to the user's token version so both can be revoked.
+const generateToken = (user, sessionId) => {
     return jwt.sign(
-        { 
-            userId: user._id, 
-            email: user.email, 
-            role: user.role 
+        {
+            userId: user._id,
+            email: user.email,
+            role: user.role,
+            sid: sessionId,
+            tv: user.tokenVersion
         },
         process.env.JWT_SECRET,
-        { expiresIn: "7d" } // Changed from 365d to 7d for better security
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
     );
 };
 
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Issue an access token and a new refresh token. Pass the session (token
+// family) when rotating; a new session is started otherwise.
+const issueTokens = async (user, req, family = crypto.randomUUID()) => {
+    const refreshToken = crypto.randomBytes(48).toString("hex");
+
+    const stored = await RefreshToken.create({
+        user: user._id,
+        tokenHash: hashToken(refreshToken),
+        family,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+        createdByIp: req.ip,
+        userAgent: req.get("User-Agent")?.slice(0, 500)
+    });
+
+    return {
+        token: generateToken(user, family),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+        storedTokenId: stored._id
+    };
+};
+
+// Create a single-use emailed token, replacing any unused one for the same purpose
+const createVerificationToken = async (user, purpose, expiresInMs) => {
+    const token = crypto.randomBytes(32).toString("hex");
+
+    await VerificationToken.deleteMany({ user: user._id, purpose, usedAt: null });
+    await VerificationToken.create({
+        user: user._id,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + expiresInMs)
+    });
+
+    return token;
+};
+
+// Mark a token as used and return it, or null if it's invalid, expired or
+// already used
+const consumeVerificationToken = (token, purpose) => {
+    return VerificationToken.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            purpose,
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+};
+
+const sendVerificationEmail = async (user) => {
+    const token = await createVerificationToken(user, "email-verification", EMAIL_VERIFICATION_EXPIRES_MS);
+    const link = `${APP_URL}/verify-email?token=${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: "Verify your Methods Grill email address",
+        text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`
+    });
+};
+
 // Register regular user
 const registerUser = async (req, res) => {
     try {
@@ -80,19 +169,26 @@ const registerUser = async (req, res) => {
             role: "user"
         });
 
-        // Generate token
-        const token = generateToken(newUser);
+        // Generate tokens
+        const { token, refreshToken, expiresIn } = await issueTokens(newUser, req);
+
+        // A mail failure shouldn't stop the user from signing up; they can ask
+        // for a new verification email later
+        await sendVerificationEmail(newUser).catch(err => console.error("Verification email error:", err));
 
         return res.status(201).json({
             success: true,
             message: "User registered successfully",
             token,
+            refreshToken,
+            expiresIn,
             user: {
                 id: newUser._id,
                 name: newUser.name,
                 email: newUser.email,
                 phoneNumber: newUser.phoneNumber,
                 role: newUser.role,
+                isEmailVerified: newUser.isEmailVerified,
                 createdAt: newUser.createdAt
             }
         });
@@ -156,6 +252,8 @@ const createAdmin = async (req, res) => {
             role: "admin"
         });
 
+        await recordAudit(req, { action: "user.create-admin", entity: "User", entityId: newAdmin._id, label: newAdmin.email, after: newAdmin });
+
         return res.status(201).json({
             success: true,
             message: "Admin created successfully",
@@ -222,13 +320,15 @@ const login = async (req, res) => {
         // Update last login
         await User.findByIdAndUpdate(user._id, { lastLogin: new Date() });
 
-        // Generate token
-        const token = generateToken(user);
+        // Generate tokens
+        const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
         return res.status(200).json({
             success: true,
             message: "Login successful",
             token,
+            refreshToken,
+            expiresIn,
             user: {
                 id: user._id,
                 name: user.name,
@@ -268,6 +368,8 @@ const getProfile = async (req, res) => {
                 phoneNumber: user.phoneNumber,
                 role: user.role,
                 isActive: user.isActive,
+                isEmailVerified: user.isEmailVerified,
+                dietaryProfile: user.dietaryProfile,
                 lastLogin: user.lastLogin,
                 createdAt: user.createdAt,
                 updatedAt: user.updatedAt
@@ -283,9 +385,591 @@ const getProfile = async (req, res) => {
     }
 };
 
+// Exchange a refresh token for a new access token and refresh token. A token
+// that was already used is treated as stolen and ends its whole session.
+const refreshToken = async (req, res) => {
+    try {
+        const { refreshToken: presentedToken } = req.body;
+
+        if (!presentedToken || typeof presentedToken !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: "Refresh token is required"
+            });
+        }
+
+        const stored = await RefreshToken.findOne({ tokenHash: hashToken(presentedToken) });
+        if (!stored || stored.expiresAt < new Date()) {
+            return res.status(401).json({
+                success: false,
+                message: "Invalid or expired refresh token"
+            });
+        }
+
+        // Mark the token used; only one request can win this
+        const used = await RefreshToken.findOneAndUpdate(
+            { _id: stored._id, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!used) {
+            await RefreshToken.revokeFamily(stored.family);
+            return res.status(401).json({
+                success: false,
+                message: "Refresh token has already been used. Please login again."
+            });
+        }
+
+        const user = await User.findById(stored.user);
+        if (!user || !user.isActive) {
+            await RefreshToken.revokeFamily(stored.family);
+            return res.status(401).json({
+                success: false,
+                message: "Account is unavailable. Please login again."
+            });
+        }
+
+        const tokens = await issueTokens(user, req, stored.family);
+        used.replacedBy = tokens.storedTokenId;
+        await used.save();
+
+        return res.status(200).json({
+            success: true,
+            message: "Token refreshed successfully",
+            token: tokens.token,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn
+        });
+
+    } catch (error) {
+        console.error("Refresh token error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// End the session the refresh token belongs to. Access tokens from that
+// session stop working immediately.
+const logout = async (req, res) => {
+    try {
+        const { refreshToken: presentedToken } = req.body;
+
+        if (!presentedToken || typeof presentedToken !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: "Refresh token is required"
+            });
+        }
+
+        const stored = await RefreshToken.findOne({ tokenHash: hashToken(presentedToken) });
+        if (stored) {
+            await RefreshToken.revokeFamily(stored.family);
+        }
+
+        // Respond the same way whether or not the token existed
+        return res.status(200).json({
+            success: true,
+            message: "Logged out successfully"
+        });
+
+    } catch (error) {
+        console.error("Logout error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// End every session for the current user on all devices
+const logoutAll = async (req, res) => {
+    try {
+        await Promise.all([
+            User.findByIdAndUpdate(req.user.userId, { $inc: { tokenVersion: 1 } }),
+            RefreshToken.revokeAllForUser(req.user.userId)
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            message: "Logged out of all devices"
+        });
+
+    } catch (error) {
+        console.error("Logout all error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Answer 503 when email isn't set up, so callers aren't told a message was
+// sent when it can't be
+const mailUnavailable = (res) => {
+    console.error(`Email is disabled: ${mailUnavailableReason()}`);
+    return res.status(503).json({
+        success: false,
+        message: "Email is not available right now. Please try again later."
+    });
+};
+
+// Email a password reset link. Always responds the same way so the endpoint
+// can't be used to find out which emails are registered.
+const forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        const validationErrors = validateInput({ email });
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: validationErrors
+            });
+        }
+
+        if (mailUnavailableReason()) {
+            return mailUnavailable(res);
+        }
+
+        const user = await User.findOne({ email: String(email).trim().toLowerCase() });
+        if (user && user.isActive) {
+            const token = await createVerificationToken(user, "password-reset", PASSWORD_RESET_EXPIRES_MS);
+            const link = `${APP_URL}/reset-password?token=${token}`;
+
+            // A failed send is only logged; answering differently would give
+            // away that the account exists
+            await sendMail({
+                to: user.email,
+                subject: "Reset your Methods Grill password",
+                text: `Hi ${user.name},\n\nYou can choose a new password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`
+            }).catch(err => console.error("Password reset email error:", err));
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "If an account exists for this email, a password reset link has been sent"
+        });
+
+    } catch (error) {
+        console.error("Forgot password error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Set a new password using an emailed reset token. Every existing session is
+// ended afterwards.
+const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const validationErrors = validateInput({ token, password });
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: validationErrors
+            });
+        }
+
+        if (typeof password !== 'string' || password.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: "Password must be at least 6 characters long"
+            });
+        }
+
+        const resetToken = await consumeVerificationToken(String(token), "password-reset");
+        if (!resetToken) {
+            return res.status(400).json({
+                success: false,
+                message: "Reset link is invalid or has expired"
+            });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 12);
+        const user = await User.findByIdAndUpdate(resetToken.user, {
+            $set: { password: hashedPassword },
+            $inc: { tokenVersion: 1 }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: "Reset link is invalid or has expired"
+            });
+        }
+
+        await RefreshToken.revokeAllForUser(user._id);
+
+        return res.status(200).json({
+            success: true,
+            message: "Password reset successfully. Please login with your new password."
+        });
+
+    } catch (error) {
+        console.error("Reset password error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Confirm an email address using an emailed verification token
+const verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        const validationErrors = validateInput({ token });
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: validationErrors
+            });
+        }
+
+        const verificationToken = await consumeVerificationToken(String(token), "email-verification");
+        if (!verificationToken) {
+            return res.status(400).json({
+                success: false,
+                message: "Verification link is invalid or has expired"
+            });
+        }
+
+        await User.findByIdAndUpdate(verificationToken.user, {
+            $set: { isEmailVerified: true, emailVerifiedAt: new Date() }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: "Email verified successfully"
+        });
+
+    } catch (error) {
+        console.error("Verify email error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Send the current user a new verification email
+const resendVerification = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found"
+            });
+        }
+
+        if (user.isEmailVerified) {
+            return res.status(400).json({
+                success: false,
+                message: "Email is already verified"
+            });
+        }
+
+        if (mailUnavailableReason()) {
+            return mailUnavailable(res);
+        }
+
+        await sendVerificationEmail(user);
+
+        return res.status(200).json({
+            success: true,
+            message: "Verification email sent"
+        });
+
+    } catch (error) {
+        console.error("Resend verification error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Update the current user's name and phone number
+const updateProfile = async (req, res) => {
+    try {
+        const { name, phoneNumber, dietaryProfile } = req.body;
+
+        if (name === undefined && phoneNumber === undefined && dietaryProfile === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: "Please provide name, phoneNumber or dietaryProfile to update"
+            });
+        }
+
+        const updates = {};
+        if (name !== undefined) {
+            if (typeof name !== 'string' || name.trim() === '') {
+                return res.status(400).json({
+                    success: false,
+                    message: "name cannot be empty"
+                });
+            }
+            updates.name = name.trim();
+        }
+        if (phoneNumber !== undefined) {
+            if (typeof phoneNumber !== 'string' || phoneNumber.trim() === '') {
+                return res.status(400).json({
+                    success: false,
+                    message: "phoneNumber cannot be empty"
+                });
+            }
+            updates.phoneNumber = phoneNumber.trim();
+
+            // Check if another user already has this phone number
+            const existingUser = await User.findOne({
+                phoneNumber: updates.phoneNumber,
+                _id: { $ne: req.user.userId }
+            });
+            if (existingUser) {
+                return res.status(409).json({
+                    success: false,
+                    message: "User with this phone number already exists"
+                });
+            }
+        }
+        if (dietaryProfile !== undefined) {
+            if (!dietaryProfile || typeof dietaryProfile !== 'object' || Array.isArray(dietaryProfile)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "dietaryProfile must be an object"
+                });
+            }
+            for (const field of ['excludedAllergens', 'dietaryTags']) {
+                const list = dietaryProfile[field];
+                if (list !== undefined && (!Array.isArray(list) || list.some(entry => typeof entry !== 'string'))) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `${field} must be an array of names`
+                    });
+                }
+            }
+            // Only the fields sent are replaced, so clients can update one at a time
+            DIETARY_PROFILE_FIELDS.forEach(field => {
+                const value = dietaryProfile[field];
+                if (value !== undefined) {
+                    updates[`dietaryProfile.${field}`] = Array.isArray(value)
+                        ? [...new Set(value.map(entry => entry.trim().toLowerCase()))]
+                        : value;
+                }
+            });
+        }
+
+        const user = await User.findByIdAndUpdate(req.user.userId, updates, {
+            new: true,
+            runValidators: true
+        });
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found"
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Profile updated successfully",
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                phoneNumber: user.phoneNumber,
+                role: user.role,
+                dietaryProfile: user.dietaryProfile,
+                updatedAt: user.updatedAt
+            }
+        });
+
+    } catch (error) {
+        console.error("Update profile error:", error);
+
+        // Handle validation errors
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(e => e.message);
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Change the current user's password. Other sessions are logged out; the
+// current one stays signed in.
+const changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const validationErrors = validateInput({ currentPassword, newPassword });
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: validationErrors
+            });
+        }
+
+        if (typeof newPassword !== 'string' || newPassword.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: "Password must be at least 6 characters long"
+            });
+        }
+
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found"
+            });
+        }
+
+        const isMatch = await bcrypt.compare(String(currentPassword), user.password);
+        if (!isMatch) {
+            return res.status(401).json({
+                success: false,
+                message: "Current password is incorrect"
+            });
+        }
+
+        user.password = await bcrypt.hash(newPassword, 12);
+        await user.save();
+
+        await RefreshToken.updateMany(
+            { user: user._id, family: { $ne: req.user.sid }, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+
+        return res.status(200).json({
+            success: true,
+            message: "Password changed successfully"
+        });
+
+    } catch (error) {
+        console.error("Change password error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
+// Delete the current user's account. Personal data is scrubbed but the user
+// document is kept so existing orders still add up for accounting.
+const deleteAccount = async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        const validationErrors = validateInput({ password });
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: validationErrors
+            });
+        }
+
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found"
+            });
+        }
+
+        const isMatch = await bcrypt.compare(String(password), user.password);
+        if (!isMatch) {
+            return res.status(401).json({
+                success: false,
+                message: "Password is incorrect"
+            });
+        }
+
+        // Keep at least one admin able to manage the restaurant
+        if (Role.ADMIN_ROLES.includes(user.role)) {
+            const otherAdmins = await User.countDocuments({ role: { $in: Role.ADMIN_ROLES }, isActive: true, _id: { $ne: user._id } });
+            if (otherAdmins === 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: "You are the only active admin. Create another admin before deleting your account."
+                });
+            }
+        }
+
+        // Replace personal data with placeholders. Validators are skipped
+        // because the placeholders aren't real emails or phone numbers.
+        const scrambledPassword = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 12);
+        await User.updateOne({ _id: user._id }, {
+            $set: {
+                name: "Deleted User",
+                email: `deleted-${user._id}@deleted.invalid`,
+                phoneNumber: `deleted-${user._id}`,
+                password: scrambledPassword,
+                isActive: false,
+                isEmailVerified: false,
+                deletedAt: new Date()
+            },
+            $unset: { lastLogin: 1, emailVerifiedAt: 1, dietaryProfile: 1 },
+            $inc: { tokenVersion: 1 }
+        });
+
+        await Promise.all([
+            RefreshToken.revokeAllForUser(user._id),
+            VerificationToken.deleteMany({ user: user._id }),
+            Cart.deleteOne({ user: user._id }),
+            Favorite.deleteMany({ user: user._id }),
+            // Free-text order notes may hold addresses or phone numbers
+            Order.updateMany({ user: user._id }, { $unset: { notes: 1 } })
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            message: "Account deleted successfully"
+        });
+
+    } catch (error) {
+        console.error("Delete account error:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error"
+        });
+    }
+};
+
 module.exports = { 
     registerUser, 
     createAdmin, 
     login, 
-    getProfile 
+    getProfile,
+    refreshToken,
+    logout,
+    logoutAll,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    updateProfile,
+    changePassword,
+    deleteAccount
 };
\ No newline at end of file
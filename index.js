@@ -6,9 +6,27 @@ require('dotenv').config();
 // Import routes
 const menuRoute = require("./routes/menu-route");
 const authRoute = require("./routes/user-route");
+const orderRoute = require("./routes/order-route");
+const eventRoute = require("./routes/event-route");
+const cartRoute = require("./routes/cart-route");
+const categoryRoute = require("./routes/category-route");
+const roleRoute = require("./routes/role-route");
+const auditRoute = require("./routes/audit-route");
+const promotionRoute = require("./routes/promotion-route");
+const reviewRoute = require("./routes/review-route");
+const favoriteRoute = require("./routes/favorite-route");
+const recommendationRoute = require("./routes/recommendation-route");
+
+// Import models
+const Category = require("./models/Category");
+const Role = require("./models/Role");
+const Menu = require("./models/Menu");
 
 // Import middleware
 const { validateRequest } = require("./middlewares/authMiddleware");
+const { UPLOADS_ROUTE, getStorage } = require("./utils/storage");
+const { applyDuePriceChangesIfStale, startPriceScheduler, recordBaselinePrices } = require("./utils/priceHistory");
+const { createTransport, setTransport, mailUnavailableReason } = require("./utils/mailer");
 
 const app = express();
 
@@ -22,12 +40,21 @@ if (missingEnvVars.length > 0) {
     process.exit(1);
 }
 
+// Set up mail delivery now, so a missing transport is reported at startup
+// rather than on the first password reset. The routes that send email answer
+// 503 until it is configured.
+setTransport(createTransport());
+if (mailUnavailableReason()) {
+    console.warn(`Email is disabled: ${mailUnavailableReason()}`);
+}
+
 // Security middleware
 app.use(cors({
     origin: process.env.FRONTEND_URL || "*", // Configure this properly in production
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'If-None-Match', 'If-Modified-Since'],
+    exposedHeaders: ['ETag', 'Last-Modified']
 }));
 
 // Rate limiting
@@ -56,9 +83,28 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Uploaded images, when stored on local disk
+if ((process.env.STORAGE_DRIVER || "local") === "local") {
+    app.use(UPLOADS_ROUTE, express.static(getStorage().directory, {
+        maxAge: '365d', // File names are random, so a changed image gets a new URL
+        immutable: true,
+        index: false
+    }));
+}
+
 // API routes
 app.use("/api/v1/menu", menuRoute);
 app.use("/api/v1/auth", authRoute);
+app.use("/api/v1/orders", orderRoute);
+app.use("/api/v1/events", eventRoute);
+app.use("/api/v1/cart", cartRoute);
+app.use("/api/v1/categories", categoryRoute);
+app.use("/api/v1/roles", roleRoute);
+app.use("/api/v1/audit-logs", auditRoute);
+app.use("/api/v1/promotions", promotionRoute);
+app.use("/api/v1/reviews", reviewRoute);
+app.use("/api/v1/favorites", favoriteRoute);
+app.use("/api/v1/recommendations", recommendationRoute);
 app.get('/', (req, res) => {
     res.send('Hello World!');
 })
@@ -100,6 +146,14 @@ const connectToDatabase = async () => {
 
         cachedConnection = connection;
         console.log("✅ Connected to database successfully");
+
+        // Make sure the menu has categories to validate against, every
+        // role has its permissions and older items have rating fields and a
+        // price history
+        await Category.seedDefaults();
+        await Role.seedDefaults();
+        await Menu.backfillRatings();
+        await recordBaselinePrices();
         return connection;
     } catch (error) {
         console.error("❌ Failed to connect to database:", error.message);
@@ -121,6 +175,10 @@ const createServer = async () => {
                 console.log(`🔗 API Base URL: http://localhost:${port}/api/v1`);
             });
 
+            // Apply scheduled price changes as they fall due
+            await applyDuePriceChangesIfStale();
+            startPriceScheduler();
+
             // Graceful shutdown
             process.on('SIGTERM', async () => {
                 console.log('SIGTERM received, shutting down gracefully');
@@ -1,12 +1,16 @@
 const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const { getPermissions } = require("../utils/permissions");
 
 // Simple in-memory rate limiter (for production, use Redis)
 const rateLimiter = new Map();
 
-// Rate limiting middleware
-const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
+// Rate limiting middleware. Requests are counted per client IP unless a
+// `keyGenerator` is given, e.g. to limit per email address.
+const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000, keyGenerator) => {
     return (req, res, next) => {
-        const clientIP = req.ip || req.connection.remoteAddress;
+        const clientIP = keyGenerator ? keyGenerator(req) : (req.ip || req.connection.remoteAddress);
         const now = Date.now();
         const windowStart = now - windowMs;
 
@@ -35,10 +39,19 @@ const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
     };
 };
 
+// Upload routes, which take multipart/form-data instead of JSON and check
+// the Content-Type themselves
+const MULTIPART_ROUTES = [
+    /^\/api\/v1\/menu\/[0-9a-fA-F]{24}\/images\/?$/,
+    /^\/api\/v1\/menu\/admin\/import\/?$/
+];
+
+const acceptsMultipart = (req) => req.method === 'POST' && MULTIPART_ROUTES.some(route => route.test(req.path));
+
 // Request validation middleware
 const validateRequest = (req, res, next) => {
     // Check Content-Type for POST/PUT requests
-    if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
+    if (['POST', 'PUT', 'PATCH'].includes(req.method) && !acceptsMultipart(req)) {
         if (!req.is('application/json')) {
             return res.status(400).json({
                 success: false,
@@ -58,6 +71,44 @@ const validateRequest = (req, res, next) => {
     next();
 };
 
+// Extract the token from "Bearer <token>" format
+const tokenFromHeader = (authHeader) => {
+    return authHeader.startsWith("Bearer ")
+        ? authHeader.slice(7)
+        : authHeader;
+};
+
+// Verify an access token and load the account behind it. Returns { user }
+// for the request, or { status, message } when the account or session can
+// no longer be used. Invalid and expired tokens throw the JWT error.
+const authenticate = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Re-check the account so deactivation, role changes and revocation
+    // take effect before the token expires
+    const [user, sessionActive] = await Promise.all([
+        User.findById(decoded.userId).select('email role isActive tokenVersion'),
+        RefreshToken.exists({ family: decoded.sid, revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+
+    if (!user || !user.isActive) {
+        return { status: 401, message: "Account is deactivated or no longer exists" };
+    }
+
+    if (!decoded.sid || decoded.tv !== user.tokenVersion || !sessionActive) {
+        return { status: 401, message: "Session has been revoked. Please login again." };
+    }
+
+    return {
+        user: {
+            ...decoded,
+            email: user.email,
+            role: user.role,
+            permissions: await getPermissions(user.role)
+        }
+    };
+};
+
 // Authentication middleware - verifies JWT token
 const authMiddleware = async (req, res, next) => {
     try {
@@ -72,11 +123,6 @@ const authMiddleware = async (req, res, next) => {
             });
         }
 
-        // Extract token from "Bearer <token>" format
-        const token = authHeader.startsWith("Bearer ")
-            ? authHeader.slice(7)
-            : authHeader;
-
         // Check if JWT_SECRET is available
         if (!process.env.JWT_SECRET) {
             console.error("JWT_SECRET environment variable is not set");
@@ -86,11 +132,16 @@ const authMiddleware = async (req, res, next) => {
             });
         }
 
-        // Verify the token using the secret key
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const result = await authenticate(tokenFromHeader(authHeader));
+        if (!result.user) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
 
-        // If the token is valid, add the decoded user to the request object
-        req.user = decoded;
+        // If the token is valid, add the user and their permissions to the request object
+        req.user = result.user;
 
         // Call the next middleware function
         next();
@@ -122,6 +173,38 @@ const authMiddleware = async (req, res, next) => {
     }
 };
 
+// Identify the caller when a token is sent, without requiring one. Public
+// routes use this to personalise responses; a missing, expired or revoked
+// token just means the request is handled as anonymous.
+const optionalAuth = async (req, res, next) => {
+    const authHeader = req.header("Authorization");
+    if (!authHeader || !process.env.JWT_SECRET) {
+        return next();
+    }
+
+    try {
+        const result = await authenticate(tokenFromHeader(authHeader));
+        if (result.user) {
+            req.user = result.user;
+        }
+    } catch (err) {
+        if (!['TokenExpiredError', 'JsonWebTokenError', 'NotBeforeError'].includes(err.name)) {
+            console.error("Optional auth error:", err);
+        }
+    }
+
+    next();
+};
+
+// Allow the token to be passed as a query parameter. Browsers' EventSource
+// cannot set headers, so streaming routes accept "?token=<jwt>" instead.
+const allowQueryToken = (req, res, next) => {
+    if (!req.header("Authorization") && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+};
+
 // Authorization middleware - checks user roles
 const authorize = (...roles) => {
     return (req, res, next) => {
@@ -143,8 +226,33 @@ const authorize = (...roles) => {
     };
 };
 
+// Permission middleware - checks the user has every listed permission
+const requirePermission = (...permissions) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: "Access denied. Please authenticate first."
+            });
+        }
+
+        const granted = req.user.permissions || [];
+        if (!permissions.every(permission => granted.includes(permission))) {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied. Insufficient permissions."
+            });
+        }
+
+        next();
+    };
+};
+
 module.exports = {
     authMiddleware,
+    optionalAuth,
+    requirePermission,
+    allowQueryToken,
     authorize,
     rateLimit,
     validateRequest
@@ -0,0 +1,80 @@
+const path = require("path");
+const multer = require("multer");
+const { ALLOWED_IMAGE_TYPES, MAX_IMAGE_SIZE } = require("../utils/images");
+const { IMPORT_FORMATS, MAX_IMPORT_SIZE } = require("../utils/menuTransfer");
+
+// Accept a single file in the given multipart field, kept in memory so it can
+// be processed before anything is written. `accepts` checks the file's type
+// and `typeError` is returned when it fails.
+const uploadSingleFile = (field, { label, maxSize, accepts, typeError }) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxSize, files: 1 },
+        fileFilter: (req, file, callback) => {
+            if (!accepts(file)) {
+                const error = new Error(typeError);
+                error.status = 415;
+                return callback(error);
+            }
+            callback(null, true);
+        }
+    }).single(field);
+
+    const capitalized = label.charAt(0).toUpperCase() + label.slice(1);
+
+    return (req, res, next) => {
+        if (!req.is('multipart/form-data')) {
+            return res.status(400).json({
+                success: false,
+                message: "Content-Type must be multipart/form-data"
+            });
+        }
+
+        upload(req, res, (err) => {
+            if (err instanceof multer.MulterError) {
+                const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+                return res.status(tooLarge ? 413 : 400).json({
+                    success: false,
+                    message: tooLarge
+                        ? `${capitalized} cannot exceed ${Math.round(maxSize / 1024 / 1024)}MB`
+                        : `Please upload a single ${label} in the "${field}" field`
+                });
+            }
+            if (err) {
+                return res.status(err.status || 400).json({
+                    success: false,
+                    message: err.message
+                });
+            }
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Please upload ${label === "image" ? "an" : "a"} ${label} in the "${field}" field`
+                });
+            }
+            next();
+        });
+    };
+};
+
+// Accept a single image, to be resized before it is stored
+const uploadImage = (field) => uploadSingleFile(field, {
+    label: "image",
+    maxSize: MAX_IMAGE_SIZE,
+    accepts: (file) => ALLOWED_IMAGE_TYPES.includes(file.mimetype),
+    typeError: `Image must be one of: ${ALLOWED_IMAGE_TYPES.join(", ")}`
+});
+
+// Accept a single menu import file. Browsers disagree on the content type of
+// CSV files, so the extension decides.
+const uploadImportFile = (field) => uploadSingleFile(field, {
+    label: "file",
+    maxSize: MAX_IMPORT_SIZE,
+    accepts: (file) => IMPORT_FORMATS.includes(path.extname(file.originalname).slice(1).toLowerCase()),
+    typeError: `File must be one of: ${IMPORT_FORMATS.map(format => `.${format}`).join(", ")}`
+});
+
+module.exports = {
+    uploadImage,
+    uploadImportFile
+};
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// Kinds of records a staff change can apply to
+const AUDIT_ENTITIES = ["Menu", "Category", "Order", "User", "Role", "Promotion", "Review"];
+
+// A change made by a staff member. `before` and `after` only hold the fields
+// that changed; `before` is empty for creations and `after` for deletions.
+const AuditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "Actor is required"]
+    },
+    actorEmail: { // Kept so the log stays readable if the account is deleted
+        type: String
+    },
+    actorRole: {
+        type: String
+    },
+    action: { // e.g. "menu.update", "user.role"
+        type: String,
+        required: [true, "Action is required"],
+        trim: true
+    },
+    entity: {
+        type: String,
+        required: [true, "Entity is required"],
+        enum: {
+            values: AUDIT_ENTITIES,
+            message: `Entity must be one of: ${AUDIT_ENTITIES.join(", ")}`
+        }
+    },
+    entityId: { // The record's ID, or its name for roles
+        type: String
+    },
+    label: { // Human readable name of the target, e.g. the menu item name
+        type: String
+    },
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String,
+        maxlength: 500
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false
+});
+
+// Indexes for the admin filters
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+
+AuditLogSchema.statics.ENTITIES = AUDIT_ENTITIES;
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
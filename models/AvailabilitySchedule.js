@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// Shared sub-schema (not a model) describing when a menu item or category can
+// be ordered. Times are "HH:mm" in the restaurant's timezone; a window whose
+// end is before its start runs past midnight.
+const TimeWindowSchema = new mongoose.Schema({
+    start: {
+        type: String,
+        required: [true, "Window start time is required"],
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Start time must be in HH:mm format"]
+    },
+    end: {
+        type: String,
+        required: [true, "Window end time is required"],
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, "End time must be in HH:mm format"]
+    }
+}, { _id: false });
+
+const AvailabilityScheduleSchema = new mongoose.Schema({
+    daysOfWeek: [{ // 0 = Sunday ... 6 = Saturday; empty means every day
+        type: Number,
+        min: [0, "Day of week must be between 0 and 6"],
+        max: [6, "Day of week must be between 0 and 6"]
+    }],
+    timeWindows: [TimeWindowSchema], // Empty means all day
+    startDate: {
+        type: Date
+    },
+    endDate: {
+        type: Date
+    }
+}, { _id: false });
+
+module.exports = AvailabilityScheduleSchema;
@@ -0,0 +1,130 @@
+const mongoose = require("mongoose");
+const { resolveSelection } = require("../utils/menuOptions");
+
+// A line in the cart: one menu item with one choice of variant and modifiers.
+// Name and price mirror the current menu item and chosen options, and are
+// kept in sync when an admin edits or deletes it.
+const CartItemSchema = new mongoose.Schema({
+    menuItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Menu",
+        required: [true, "Menu item is required"]
+    },
+    name: {
+        type: String,
+        required: [true, "Item name is required"],
+        trim: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    variantName: {
+        type: String,
+        trim: true
+    },
+    modifiers: [{
+        type: mongoose.Schema.Types.ObjectId
+    }],
+    modifierNames: [{
+        type: String,
+        trim: true
+    }],
+    price: { // Unit price including variant and modifiers
+        type: Number,
+        required: [true, "Item price is required"],
+        min: [0, "Item price cannot be negative"]
+    },
+    quantity: {
+        type: Number,
+        required: [true, "Quantity is required"],
+        min: [1, "Quantity must be at least 1"],
+        max: [50, "Quantity cannot exceed 50"],
+        validate: {
+            validator: Number.isInteger,
+            message: "Quantity must be a whole number"
+        }
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [200, "Item notes cannot exceed 200 characters"]
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ["available", "unavailable", "deleted"],
+            message: "Cart item status must be one of: available, unavailable, deleted"
+        },
+        default: "available"
+    }
+});
+
+// Whether a line holds the given variant and modifiers, in any order
+CartItemSchema.methods.hasOptions = function (variant, modifiers) {
+    const sortedIds = (ids) => ids.map(id => id.toString()).sort().join(",");
+    return (this.variant?.toString() || null) === (variant?.toString() || null) &&
+        sortedIds(this.modifiers) === sortedIds(modifiers || []);
+};
+
+const CartSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User is required"],
+        unique: true
+    },
+    items: [CartItemSchema]
+}, {
+    timestamps: true
+});
+
+// Reprice and re-flag the lines for one menu item. Lines whose chosen options
+// are no longer valid are flagged unavailable. Pass `null` when the menu item
+// no longer exists; items in the trash are treated the same way.
+CartSchema.methods.applyMenuItem = function (menuId, menu) {
+    this.items.forEach(line => {
+        if (line.menuItem.toString() !== menuId.toString()) {
+            return;
+        }
+        if (!menu || menu.deletedAt) {
+            line.status = "deleted";
+            return;
+        }
+
+        line.name = menu.name;
+
+        const selection = resolveSelection(menu, {
+            variant: line.variant?.toString(),
+            modifiers: line.modifiers.map(id => id.toString())
+        });
+        if (selection.error) {
+            line.status = "unavailable";
+            return;
+        }
+
+        line.price = selection.unitPrice;
+        line.variantName = selection.variant?.name;
+        line.modifierNames = selection.modifiers.map(m => m.name);
+        line.status = menu.isAvailable ? "available" : "unavailable";
+    });
+};
+
+// Reprice and re-flag every cart line for a menu item after it was edited
+CartSchema.statics.syncMenuItem = async function (menu) {
+    const carts = await this.find({ "items.menuItem": menu._id });
+    await Promise.all(carts.map(cart => {
+        cart.applyMenuItem(menu._id, menu);
+        return cart.save();
+    }));
+};
+
+// Flag every cart line for a menu item that no longer exists
+CartSchema.statics.flagDeletedMenuItem = function (menuId) {
+    return this.updateMany(
+        { "items.menuItem": menuId },
+        { $set: { "items.$[line].status": "deleted" } },
+        { arrayFilters: [{ "line.menuItem": menuId }] }
+    );
+};
+
+module.exports = mongoose.model("Cart", CartSchema);
@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+const AvailabilityScheduleSchema = require("./AvailabilitySchedule");
+
+// Categories that used to be hard-coded on the menu, seeded on first start
+const DEFAULT_CATEGORIES = [
+    "soups & swallow",
+    "bread lovers corner",
+    "peppersoup corner",
+    "appetizers",
+    "dessert",
+    "beverage",
+    "light food options",
+    "breakfast menu",
+    "special"
+];
+
+// Turn a category name into a URL friendly slug, e.g. "soups & swallow" -> "soups-and-swallow"
+const slugify = (value) => {
+    return value
+        .toLowerCase()
+        .trim()
+        .replace(/&/g, " and ")
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+};
+
+const CategorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Category name is required"],
+        unique: true,
+        trim: true,
+        lowercase: true, // Menu items store the category name in lowercase
+        minlength: [2, "Category name must be at least 2 characters long"],
+        maxlength: [50, "Category name cannot exceed 50 characters"]
+    },
+    slug: {
+        type: String,
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, "Slug may only contain lowercase letters, numbers and hyphens"]
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Description cannot exceed 500 characters"]
+    },
+    image: {
+        type: String,
+        trim: true
+    },
+    displayOrder: {
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    availability: { // Optional schedule applied to every item in the category
+        type: AvailabilityScheduleSchema,
+        default: undefined
+    }
+}, {
+    timestamps: true
+});
+
+// Generate the slug from the name when none was given
+CategorySchema.pre("validate", function (next) {
+    if (!this.slug && this.name) {
+        this.slug = slugify(this.name);
+    }
+    next();
+});
+
+// Create the default categories if none exist yet, so existing menu items
+// keep validating after upgrading from the hard-coded list
+CategorySchema.statics.seedDefaults = async function () {
+    const count = await this.estimatedDocumentCount();
+    if (count > 0) {
+        return;
+    }
+
+    await this.insertMany(DEFAULT_CATEGORIES.map((name, index) => ({
+        name,
+        slug: slugify(name),
+        displayOrder: index
+    })));
+};
+
+CategorySchema.statics.slugify = slugify;
+
+// Indexes for better query performance
+CategorySchema.index({ isActive: 1, displayOrder: 1 });
+
+module.exports = mongoose.model("Category", CategorySchema);
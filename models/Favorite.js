@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// A menu item a customer saved to find again quickly
+const FavoriteSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User is required"]
+    },
+    menuItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Menu",
+        required: [true, "Menu item is required"]
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Each item is a favorite at most once per user, listed newest first
+FavoriteSchema.index({ user: 1, menuItem: 1 }, { unique: true });
+FavoriteSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Favorite", FavoriteSchema);
@@ -1,4 +1,111 @@
 const mongoose = require("mongoose");
+const AvailabilityScheduleSchema = require("./AvailabilitySchedule");
+
+const ALLERGENS = ["gluten", "dairy", "nuts", "eggs", "soy", "shellfish", "fish"];
+const DIETARY_TAGS = ["vegetarian", "vegan", "halal", "gluten-free"];
+
+// Allergens that contradict a dietary tag
+const TAG_CONFLICTS = {
+    vegan: ["dairy", "eggs", "fish", "shellfish"],
+    vegetarian: ["fish", "shellfish"],
+    "gluten-free": ["gluten"]
+};
+
+// A size or portion of a menu item, e.g. small/large peppersoup. When an item
+// has variants, each variant's price replaces the base price.
+const VariantSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Variant name is required"],
+        trim: true,
+        maxlength: [50, "Variant name cannot exceed 50 characters"]
+    },
+    price: {
+        type: Number,
+        required: [true, "Variant price is required"],
+        min: [0, "Variant price cannot be negative"]
+    },
+    isAvailable: {
+        type: Boolean,
+        default: true
+    }
+});
+
+// A paid or free add-on within a modifier group, e.g. extra meat
+const ModifierOptionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Modifier option name is required"],
+        trim: true,
+        maxlength: [50, "Modifier option name cannot exceed 50 characters"]
+    },
+    priceDelta: {
+        type: Number,
+        default: 0
+    },
+    isAvailable: {
+        type: Boolean,
+        default: true
+    }
+});
+
+// A set of options the customer picks from, e.g. "Extras" or "Choice of swallow"
+const ModifierGroupSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Modifier group name is required"],
+        trim: true,
+        maxlength: [50, "Modifier group name cannot exceed 50 characters"]
+    },
+    isRequired: {
+        type: Boolean,
+        default: false
+    },
+    minSelections: {
+        type: Number,
+        min: [0, "Minimum selections cannot be negative"],
+        default: 0
+    },
+    maxSelections: {
+        type: Number,
+        min: [1, "Maximum selections must be at least 1"],
+        default: 1
+    },
+    options: [ModifierOptionSchema]
+});
+
+// A photo uploaded through the API. Its `url` is also listed in `images`
+// (and may be the `featuredImage`); the storage keys let the files be
+// removed again.
+const UploadedImageSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true
+    },
+    thumbnailUrl: {
+        type: String,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    thumbnailKey: {
+        type: String,
+        required: true
+    },
+    width: Number,
+    height: Number,
+    size: Number, // in bytes, after resizing
+    originalName: {
+        type: String,
+        trim: true
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
 
 const MenuSchema = new mongoose.Schema({
     name: {
@@ -38,6 +145,7 @@ const MenuSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    uploadedImages: [UploadedImageSchema],
     description: {
         type: String,
         trim: true,
@@ -47,27 +155,37 @@ const MenuSchema = new mongoose.Schema({
         type: String,
         required: [true, "Category is required"],
         trim: true,
-        lowercase: true,
-        enum: {
-            values: [
-                "soups & swallow",
-                "bread lovers corner",
-                "peppersoup corner",
-                "appetizers",
-                "dessert",
-                "beverage",
-                "light food options",
-                "breakfast menu",
-                "peppersoup corner",
-                "special"
-            ],
-            message: "Category must be one of: soups & swallow, bread lovers corner, peppersoup corner, appetizers, dessert, beverage, light food options, breakfast menu, peppersoup corner, special"
-        }
+        lowercase: true // Must match the name of a Category; checked by the controller
     },
+    variants: [VariantSchema],
+    modifierGroups: [ModifierGroupSchema],
     isAvailable: {
         type: Boolean,
         default: true
     },
+    availability: { // Optional schedule; combined with isAvailable
+        type: AvailabilityScheduleSchema,
+        default: undefined
+    },
+    stockQuantity: { // null means stock is not tracked for this item
+        type: Number,
+        default: null,
+        min: [0, "Stock quantity cannot be negative"],
+        validate: {
+            validator: function (value) {
+                return value === null || Number.isInteger(value);
+            },
+            message: "Stock quantity must be a whole number"
+        }
+    },
+    lowStockThreshold: {
+        type: Number,
+        min: [0, "Low stock threshold cannot be negative"],
+        default: 5
+    },
+    stockDepletedAt: { // Set when the item was made unavailable because it sold out
+        type: Date
+    },
     preparationTime: {
         type: Number, // in minutes
         min: [1, "Preparation time must be at least 1 minute"],
@@ -82,21 +200,93 @@ const MenuSchema = new mongoose.Schema({
     },
     allergens: [{
         type: String,
-        enum: ["gluten", "dairy", "nuts", "eggs", "soy", "shellfish", "fish"]
+        enum: ALLERGENS
     }],
     spicyLevel: {
         type: Number,
         min: 0,
         max: 5,
         default: 0
+    },
+    dietaryTags: {
+        type: [{
+            type: String,
+            enum: {
+                values: DIETARY_TAGS,
+                message: `Dietary tag must be one of: ${DIETARY_TAGS.join(", ")}`
+            }
+        }]
+    },
+    averageRating: { // Of approved reviews; kept up to date by the review routes
+        type: Number,
+        min: 0,
+        max: 5,
+        default: 0
+    },
+    reviewCount: { // Approved reviews
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    deletedAt: { // Set when the item was moved to the trash; null for live items
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
     }
 }, {
     timestamps: true // This replaces the manual createdAt field and adds updatedAt
 });
 
+// The ways dietary tags contradict allergens, e.g. "vegan items can't
+// contain dairy". Empty when they agree.
+const findDietaryConflicts = (tags, allergens) => {
+    if (!Array.isArray(tags) || !Array.isArray(allergens)) {
+        return [];
+    }
+    return tags.flatMap(tag => (TAG_CONFLICTS[tag] || [])
+        .filter(allergen => allergens.includes(allergen))
+        .map(allergen => `${tag} items can't contain ${allergen}`));
+};
+
+// Checked here rather than on the field so that changing either the tags or
+// the allergens is caught. Update queries skip this; routes that edit with
+// them check against the current item themselves.
+MenuSchema.pre('validate', function (next) {
+    if (this.isModified('dietaryTags') || this.isModified('allergens')) {
+        const conflicts = findDietaryConflicts(this.dietaryTags, this.allergens);
+        if (conflicts.length > 0) {
+            this.invalidate('dietaryTags', `Dietary tags contradict the item's allergens: ${conflicts.join(", ")}`);
+        }
+    }
+    next();
+});
+
+// Give items created before ratings existed a rating of 0 in the database
+// too, not only when loaded, so sorting and cursor pagination by rating see
+// them. Doesn't touch updatedAt, as the items didn't change.
+MenuSchema.statics.backfillRatings = async function () {
+    await Promise.all(["averageRating", "reviewCount"].map(field => this.updateMany(
+        { [field]: { $exists: false } },
+        { $set: { [field]: 0 } },
+        { timestamps: false }
+    )));
+};
+
 // Indexes for better query performance
 MenuSchema.index({ category: 1, isAvailable: 1 });
+MenuSchema.index({ deletedAt: 1 });
 MenuSchema.index({ price: 1 });
+MenuSchema.index({ "variants.price": 1 });
+MenuSchema.index({ averageRating: -1, reviewCount: -1 });
+MenuSchema.index({ dietaryTags: 1 });
+MenuSchema.index({ updatedAt: -1 }); // Latest change, for cache validation
 MenuSchema.index({ name: "text", description: "text", ingredients: "text" });
 
+MenuSchema.statics.ALLERGENS = ALLERGENS;
+MenuSchema.statics.DIETARY_TAGS = DIETARY_TAGS;
+MenuSchema.statics.findDietaryConflicts = findDietaryConflicts;
+
 module.exports = mongoose.model("Menu", MenuSchema);
\ No newline at end of file
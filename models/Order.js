@@ -0,0 +1,214 @@
+const mongoose = require("mongoose");
+
+// Order lifecycle. Each status maps to the statuses it may move to next;
+// terminal statuses map to an empty list.
+const ORDER_STATUS_TRANSITIONS = {
+    "pending": ["confirmed", "rejected", "cancelled"],
+    "confirmed": ["preparing", "cancelled"],
+    "preparing": ["ready", "cancelled"],
+    "ready": ["out-for-delivery", "picked-up"],
+    "out-for-delivery": ["completed"],
+    "picked-up": ["completed"],
+    "completed": [],
+    "cancelled": [],
+    "rejected": []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+// A single line on an order. Name, chosen options and price are copied from
+// the menu item at the time the order is placed so later menu edits don't
+// rewrite history.
+const OrderItemSchema = new mongoose.Schema({
+    menuItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Menu",
+        required: [true, "Menu item is required"]
+    },
+    name: {
+        type: String,
+        required: [true, "Item name is required"],
+        trim: true
+    },
+    variant: {
+        _id: { type: mongoose.Schema.Types.ObjectId },
+        name: { type: String, trim: true }
+    },
+    modifiers: [{
+        _id: { type: mongoose.Schema.Types.ObjectId },
+        group: { type: String, trim: true },
+        name: { type: String, trim: true },
+        priceDelta: { type: Number, default: 0 }
+    }],
+    price: { // Unit price including variant and modifiers
+        type: Number,
+        required: [true, "Item price is required"],
+        min: [0, "Item price cannot be negative"]
+    },
+    quantity: {
+        type: Number,
+        required: [true, "Quantity is required"],
+        min: [1, "Quantity must be at least 1"],
+        max: [50, "Quantity cannot exceed 50"],
+        validate: {
+            validator: Number.isInteger,
+            message: "Quantity must be a whole number"
+        }
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [200, "Item notes cannot exceed 200 characters"]
+    },
+    lineTotal: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    stockReserved: { // Whether stock was taken for this line, so it can be put back
+        type: Boolean,
+        default: false
+    }
+}, { _id: true });
+
+// One entry per status change, recording when it happened and who made it
+const StatusChangeSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true,
+        enum: ORDER_STATUSES
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [200, "Status note cannot exceed 200 characters"]
+    }
+}, { _id: false });
+
+// A promotion applied to the order, with the explanation shown to the customer
+const AppliedDiscountSchema = new mongoose.Schema({
+    promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Promotion",
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    code: {
+        type: String
+    },
+    type: {
+        type: String
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, "Discount cannot be negative"]
+    },
+    description: {
+        type: String
+    }
+}, { _id: false });
+
+const OrderSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User is required"]
+    },
+    items: {
+        type: [OrderItemSchema],
+        validate: {
+            validator: function (array) {
+                return Array.isArray(array) && array.length > 0;
+            },
+            message: "Order must contain at least one item"
+        }
+    },
+    subtotal: {
+        type: Number,
+        required: true,
+        min: [0, "Subtotal cannot be negative"]
+    },
+    discounts: [AppliedDiscountSchema],
+    discountTotal: {
+        type: Number,
+        default: 0,
+        min: [0, "Discount total cannot be negative"]
+    },
+    total: { // Subtotal less discounts
+        type: Number,
+        required: true,
+        min: [0, "Total cannot be negative"]
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Order notes cannot exceed 500 characters"]
+    },
+    orderType: {
+        type: String,
+        enum: {
+            values: ["pickup", "delivery"],
+            message: "Order type must be either pickup or delivery"
+        },
+        default: "pickup"
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ORDER_STATUSES,
+            message: `Status must be one of: ${ORDER_STATUSES.join(", ")}`
+        },
+        default: "pending"
+    },
+    statusHistory: [StatusChangeSchema],
+    estimatedReadyAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Record the initial status when the order is first created
+OrderSchema.pre("validate", function (next) {
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({ status: this.status, changedBy: this.user });
+    }
+    next();
+});
+
+// Check whether an order may move from one status to another. Delivery orders
+// go out for delivery; pickup orders are picked up.
+OrderSchema.methods.canTransitionTo = function (nextStatus) {
+    const allowed = ORDER_STATUS_TRANSITIONS[this.status] || [];
+    if (!allowed.includes(nextStatus)) {
+        return false;
+    }
+    if (nextStatus === "out-for-delivery") {
+        return this.orderType === "delivery";
+    }
+    if (nextStatus === "picked-up") {
+        return this.orderType === "pickup";
+    }
+    return true;
+};
+
+OrderSchema.statics.STATUSES = ORDER_STATUSES;
+OrderSchema.statics.STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
+
+// Indexes for better query performance
+OrderSchema.index({ user: 1, createdAt: -1 });
+OrderSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Order", OrderSchema);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+const PRICE_CHANGE_STATUSES = ["scheduled", "applied", "cancelled"];
+
+// Price of one variant at the time of the change
+const VariantPriceSchema = new mongoose.Schema({
+    _id: { // The variant's ID on the menu item
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    price: {
+        type: Number,
+        required: [true, "Variant price is required"],
+        min: [0, "Variant price cannot be negative"]
+    }
+}, { _id: false });
+
+// A version of a menu item's prices. Applied changes form the item's price
+// history; scheduled ones take effect automatically at `effectiveFrom`, when
+// they are filled in with the item's full set of prices.
+const PriceChangeSchema = new mongoose.Schema({
+    menuItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Menu",
+        required: [true, "Menu item is required"]
+    },
+    price: { // Base price; left out of a scheduled change that only touches variants
+        type: Number,
+        min: [0, "Price cannot be negative"]
+    },
+    variants: [VariantPriceSchema],
+    effectiveFrom: {
+        type: Date,
+        required: [true, "Effective date is required"]
+    },
+    status: {
+        type: String,
+        enum: {
+            values: PRICE_CHANGE_STATUSES,
+            message: `Status must be one of: ${PRICE_CHANGE_STATUSES.join(", ")}`
+        },
+        default: "applied"
+    },
+    source: { // What caused the change
+        type: String,
+        enum: ["create", "edit", "schedule", "baseline"],
+        required: true
+    },
+    appliedAt: {
+        type: Date
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [200, "Note cannot exceed 200 characters"]
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for history lookups and for finding changes that are due
+PriceChangeSchema.index({ menuItem: 1, status: 1, effectiveFrom: -1 });
+PriceChangeSchema.index({ status: 1, effectiveFrom: 1 });
+
+PriceChangeSchema.statics.STATUSES = PRICE_CHANGE_STATUSES;
+
+module.exports = mongoose.model("PriceChange", PriceChangeSchema);
@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+const AvailabilityScheduleSchema = require("./AvailabilitySchedule");
+
+const PROMOTION_TYPES = ["percentage", "fixed", "buy-x-get-y"];
+const PROMOTION_SCOPES = ["order", "category", "items"];
+
+// A discount. Promotions with a `code` only apply when the customer enters
+// it; the others apply automatically to every eligible cart, e.g. happy hour.
+const PromotionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Promotion name is required"],
+        trim: true,
+        maxlength: [100, "Promotion name cannot exceed 100 characters"]
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Description cannot exceed 500 characters"]
+    },
+    code: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z0-9_-]{3,30}$/, "Code must be 3-30 letters, numbers, hyphens or underscores"]
+    },
+    type: {
+        type: String,
+        required: [true, "Promotion type is required"],
+        enum: {
+            values: PROMOTION_TYPES,
+            message: `Promotion type must be one of: ${PROMOTION_TYPES.join(", ")}`
+        }
+    },
+    value: { // Percentage off, or amount off for fixed discounts
+        type: Number,
+        min: [0, "Discount value cannot be negative"]
+    },
+    buyQuantity: { // buy-x-get-y: units the customer pays for...
+        type: Number,
+        min: [1, "Buy quantity must be at least 1"]
+    },
+    getQuantity: { // ...and units they get discounted on top
+        type: Number,
+        min: [1, "Get quantity must be at least 1"]
+    },
+    getDiscountPercent: { // How much the "get" units are discounted; 100 means free
+        type: Number,
+        min: [1, "Get discount must be at least 1%"],
+        max: [100, "Get discount cannot exceed 100%"],
+        default: 100
+    },
+    scope: {
+        type: String,
+        enum: {
+            values: PROMOTION_SCOPES,
+            message: `Scope must be one of: ${PROMOTION_SCOPES.join(", ")}`
+        },
+        default: "order"
+    },
+    categories: [{ // Category names, for the category scope
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    menuItems: [{ // For the items scope
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Menu"
+    }],
+    minSubtotal: { // Cart subtotal needed before the promotion applies
+        type: Number,
+        min: [0, "Minimum subtotal cannot be negative"],
+        default: 0
+    },
+    maxDiscount: { // Cap on the discount from this promotion per order
+        type: Number,
+        min: [0, "Maximum discount cannot be negative"]
+    },
+    startsAt: {
+        type: Date
+    },
+    endsAt: {
+        type: Date
+    },
+    schedule: { // Optional recurring window, e.g. weekdays 16:00-18:00
+        type: AvailabilityScheduleSchema,
+        default: undefined
+    },
+    usageLimit: { // Total redemptions allowed; unlimited when not set
+        type: Number,
+        min: [1, "Usage limit must be at least 1"]
+    },
+    perUserLimit: { // Redemptions allowed per customer; unlimited when not set
+        type: Number,
+        min: [1, "Per-user limit must be at least 1"]
+    },
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    isStackable: { // Whether it can be combined with other promotions
+        type: Boolean,
+        default: true
+    },
+    priority: { // Higher priority promotions are applied first
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+// Codes are unique, but most promotions have none
+PromotionSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: "string" } } });
+PromotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+PromotionSchema.statics.TYPES = PROMOTION_TYPES;
+PromotionSchema.statics.SCOPES = PROMOTION_SCOPES;
+
+module.exports = mongoose.model("Promotion", PromotionSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// One use of a promotion on an order. Removed again if the order is cancelled
+// or rejected, so the customer gets the use back.
+const PromotionRedemptionSchema = new mongoose.Schema({
+    promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Promotion",
+        required: [true, "Promotion is required"]
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User is required"]
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+        required: [true, "Order is required"]
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for per-user limits and for releasing an order's redemptions
+PromotionRedemptionSchema.index({ promotion: 1, user: 1 });
+PromotionRedemptionSchema.index({ order: 1 });
+
+module.exports = mongoose.model("PromotionRedemption", PromotionRedemptionSchema);
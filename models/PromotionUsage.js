@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// How many times a customer has used a promotion. Kept as one counter per
+// customer and promotion so the per-user limit can be claimed atomically.
+const PromotionUsageSchema = new mongoose.Schema({
+    promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Promotion",
+        required: [true, "Promotion is required"]
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User is required"]
+    },
+    count: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+});
+
+PromotionUsageSchema.index({ promotion: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model("PromotionUsage", PromotionUsageSchema);
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// A refresh token issued to a user. Only a hash of the token is stored.
+// Tokens rotate on every use; all tokens issued from the same login share a
+// `family`, which identifies that login session.
+const RefreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User is required"]
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    family: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "RefreshToken"
+    },
+    createdByIp: {
+        type: String
+    },
+    userAgent: {
+        type: String,
+        maxlength: 500
+    }
+}, {
+    timestamps: true
+});
+
+// Revoke every token from the same login session
+RefreshTokenSchema.statics.revokeFamily = function (family) {
+    return this.updateMany({ family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+// Revoke every token a user holds, logging them out of all devices
+RefreshTokenSchema.statics.revokeAllForUser = function (userId) {
+    return this.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+// Indexes for better query performance
+RefreshTokenSchema.index({ family: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ user: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB remove expired tokens
+
+module.exports = mongoose.model("RefreshToken", RefreshTokenSchema);
@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+
+const REVIEW_STATUSES = ["pending", "approved", "hidden"];
+
+// A customer's rating of a menu item they have ordered. Reviews wait for a
+// moderator to approve them; only approved reviews are shown and counted in
+// the item's average rating.
+const ReviewSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User is required"]
+    },
+    menuItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Menu",
+        required: [true, "Menu item is required"]
+    },
+    order: { // A completed order of the user's that contained the item
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order"
+    },
+    rating: {
+        type: Number,
+        required: [true, "Rating is required"],
+        min: [1, "Rating must be between 1 and 5"],
+        max: [5, "Rating must be between 1 and 5"],
+        validate: {
+            validator: Number.isInteger,
+            message: "Rating must be a whole number"
+        }
+    },
+    text: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Review cannot exceed 1000 characters"]
+    },
+    photoUrl: {
+        type: String,
+        trim: true,
+        match: [/^https?:\/\/\S+$/i, "Photo URL must be an http or https URL"]
+    },
+    status: {
+        type: String,
+        enum: {
+            values: REVIEW_STATUSES,
+            message: `Status must be one of: ${REVIEW_STATUSES.join(", ")}`
+        },
+        default: "pending"
+    },
+    moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    moderatedAt: {
+        type: Date
+    },
+    moderationNote: { // Seen by staff only, e.g. why a review was hidden
+        type: String,
+        trim: true,
+        maxlength: [200, "Moderation note cannot exceed 200 characters"]
+    }
+}, {
+    timestamps: true
+});
+
+// One review per customer per item; they edit it rather than adding another
+ReviewSchema.index({ user: 1, menuItem: 1 }, { unique: true });
+ReviewSchema.index({ menuItem: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ status: 1, createdAt: -1 });
+
+ReviewSchema.statics.STATUSES = REVIEW_STATUSES;
+
+module.exports = mongoose.model("Review", ReviewSchema);
@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+
+// Every permission a route can require
+const PERMISSIONS = [
+    "menu:write",          // Create, edit and delete menu items and categories
+    "inventory:manage",    // Adjust stock and view low stock reports
+    "orders:read",         // View every customer's orders
+    "orders:update-status",// Move orders through the kitchen workflow
+    "users:manage",        // List, promote, demote, deactivate users
+    "users:create-admin",  // Create admin accounts
+    "roles:manage",        // Change which permissions each role has
+    "audit:read",          // View the audit log of staff changes
+    "promotions:manage",   // Create and edit promotions and discount codes
+    "reviews:moderate"     // Approve and hide customer reviews
+];
+
+// Roles a user can have. The owner always has every permission.
+const ROLES = ["owner", "admin", "manager", "kitchen", "cashier", "rider", "user"];
+
+// Roles that can run the restaurant; at least one active user must hold one
+const ADMIN_ROLES = ["owner", "admin"];
+
+// Permissions each role starts with; the owner can change them afterwards
+const DEFAULT_ROLE_PERMISSIONS = {
+    owner: PERMISSIONS,
+    admin: PERMISSIONS.filter(permission => permission !== "roles:manage"),
+    manager: ["menu:write", "inventory:manage", "orders:read", "orders:update-status", "promotions:manage", "reviews:moderate"],
+    kitchen: ["inventory:manage", "orders:read", "orders:update-status"],
+    cashier: ["orders:read", "orders:update-status"],
+    rider: ["orders:read", "orders:update-status"],
+    user: []
+};
+
+const RoleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Role name is required"],
+        unique: true,
+        enum: {
+            values: ROLES,
+            message: `Role must be one of: ${ROLES.join(", ")}`
+        }
+    },
+    permissions: [{
+        type: String,
+        enum: {
+            values: PERMISSIONS,
+            message: `Permission must be one of: ${PERMISSIONS.join(", ")}`
+        }
+    }],
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, "Description cannot exceed 200 characters"]
+    },
+    knownPermissions: [{ // Every permission that existed when the role was last seeded or edited
+        type: String
+    }]
+}, {
+    timestamps: true
+});
+
+// Create any role that doesn't exist yet with its default permissions, and
+// grant existing roles the default share of permissions added since they
+// were last seeded or edited. Permissions the owner removed stay removed.
+RoleSchema.statics.seedDefaults = async function () {
+    const existing = await this.find();
+    const existingNames = existing.map(role => role.name);
+    const missing = ROLES.filter(role => !existingNames.includes(role));
+
+    if (missing.length > 0) {
+        await this.insertMany(missing.map(name => ({
+            name,
+            permissions: DEFAULT_ROLE_PERMISSIONS[name],
+            knownPermissions: PERMISSIONS
+        })));
+    }
+
+    await Promise.all(existing.map(role => {
+        const added = PERMISSIONS.filter(permission => !role.knownPermissions.includes(permission));
+        if (added.length === 0) {
+            return null;
+        }
+
+        const granted = added.filter(permission => (DEFAULT_ROLE_PERMISSIONS[role.name] || []).includes(permission));
+        role.permissions = [...new Set([...role.permissions, ...granted])];
+        role.knownPermissions = PERMISSIONS;
+        return role.save();
+    }));
+};
+
+RoleSchema.statics.PERMISSIONS = PERMISSIONS;
+RoleSchema.statics.ROLES = ROLES;
+RoleSchema.statics.ADMIN_ROLES = ADMIN_ROLES;
+RoleSchema.statics.DEFAULT_ROLE_PERMISSIONS = DEFAULT_ROLE_PERMISSIONS;
+
+module.exports = mongoose.model("Role", RoleSchema);
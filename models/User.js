@@ -1,4 +1,31 @@
 const mongoose = require("mongoose");
+const Role = require("./Role");
+const Menu = require("./Menu");
+
+// Food preferences applied to the menu and suggestions whenever the user is
+// signed in
+const DietaryProfileSchema = new mongoose.Schema({
+    excludedAllergens: [{
+        type: String,
+        enum: {
+            values: Menu.ALLERGENS,
+            message: `Allergen must be one of: ${Menu.ALLERGENS.join(", ")}`
+        }
+    }],
+    maxSpicyLevel: { // null means no limit
+        type: Number,
+        min: [0, "Maximum spicy level must be between 0 and 5"],
+        max: [5, "Maximum spicy level must be between 0 and 5"],
+        default: null
+    },
+    dietaryTags: [{ // Only items with every one of these tags are shown
+        type: String,
+        enum: {
+            values: Menu.DIETARY_TAGS,
+            message: `Dietary tag must be one of: ${Menu.DIETARY_TAGS.join(", ")}`
+        }
+    }]
+}, { _id: false });
 
 const UserSchema = new mongoose.Schema({
     name: {
@@ -26,8 +53,8 @@ const UserSchema = new mongoose.Schema({
     role: {
         type: String,
         enum: {
-            values: ["admin", "user"],
-            message: "Role must be either admin or user"
+            values: Role.ROLES,
+            message: `Role must be one of: ${Role.ROLES.join(", ")}`
         },
         default: "user"
         // Removed unique: true - this was preventing multiple users with same role
@@ -41,8 +68,26 @@ const UserSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date
+    },
     lastLogin: {
         type: Date
+    },
+    dietaryProfile: {
+        type: DietaryProfileSchema,
+        default: () => ({})
+    },
+    tokenVersion: { // Incremented to revoke every access token issued so far
+        type: Number,
+        default: 0
+    },
+    deletedAt: { // Set when the account was deleted and its personal data scrubbed
+        type: Date
     }
 }, {
     timestamps: true // This replaces the manual date field and adds createdAt/updatedAt
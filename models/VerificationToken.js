@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// Single-use token emailed to a user, e.g. to reset a password or verify an
+// email address. Only a hash of the token is stored.
+const VerificationTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User is required"]
+    },
+    purpose: {
+        type: String,
+        required: true,
+        enum: {
+            values: ["password-reset", "email-verification"],
+            message: "Purpose must be either password-reset or email-verification"
+        }
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+VerificationTokenSchema.index({ user: 1, purpose: 1 });
+VerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB remove expired tokens
+
+module.exports = mongoose.model("VerificationToken", VerificationTokenSchema);
@@ -0,0 +1,9 @@
+const { getAuditLogs } = require("../controllers/audit-controller");
+const { authMiddleware, requirePermission } = require("../middlewares/authMiddleware");
+
+const route = require("express").Router();
+
+// Staff routes, guarded by permission
+route.get('/', authMiddleware, requirePermission("audit:read"), getAuditLogs);
+
+module.exports = route;
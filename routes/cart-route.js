@@ -0,0 +1,21 @@
+const {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    checkoutCart
+} = require("../controllers/cart-controller");
+const { authMiddleware } = require("../middlewares/authMiddleware");
+
+const route = require("express").Router();
+
+// Customer routes
+route.get('/', authMiddleware, getCart);
+route.delete('/', authMiddleware, clearCart);
+route.post('/items', authMiddleware, addCartItem);
+route.put('/items/:itemId', authMiddleware, updateCartItem);
+route.delete('/items/:itemId', authMiddleware, removeCartItem);
+route.post('/checkout', authMiddleware, checkoutCart);
+
+module.exports = route;
@@ -0,0 +1,23 @@
+const {
+    getCategories,
+    getAllCategories,
+    createCategory,
+    updateCategory,
+    mergeCategory,
+    deleteCategory
+} = require("../controllers/category-controller");
+const { authMiddleware, requirePermission } = require("../middlewares/authMiddleware");
+
+const route = require("express").Router();
+
+// Public routes
+route.get('/', getCategories);
+
+// Staff routes, guarded by permission
+route.get('/admin/all', authMiddleware, requirePermission("menu:write"), getAllCategories);
+route.post('/', authMiddleware, requirePermission("menu:write"), createCategory);
+route.put('/:id', authMiddleware, requirePermission("menu:write"), updateCategory);
+route.post('/:id/merge', authMiddleware, requirePermission("menu:write"), mergeCategory);
+route.delete('/:id', authMiddleware, requirePermission("menu:write"), deleteCategory);
+
+module.exports = route;
@@ -0,0 +1,9 @@
+const { streamEvents } = require("../controllers/event-controller");
+const { authMiddleware, allowQueryToken } = require("../middlewares/authMiddleware");
+
+const route = require("express").Router();
+
+// Protected routes
+route.get('/stream', allowQueryToken, authMiddleware, streamEvents);
+
+module.exports = route;
@@ -0,0 +1,11 @@
+const { getFavorites, addFavorite, removeFavorite } = require("../controllers/favorite-controller");
+const { authMiddleware } = require("../middlewares/authMiddleware");
+
+const route = require("express").Router();
+
+// Customer routes
+route.get('/', authMiddleware, getFavorites);
+route.put('/:menuItemId', authMiddleware, addFavorite);
+route.delete('/:menuItemId', authMiddleware, removeFavorite);
+
+module.exports = route;
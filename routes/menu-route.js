@@ -5,21 +5,58 @@ const {
     deleteSingleMenuItem,
     addItemMenu,
     getMenuCategories,
-    getPriceRange
+    getPriceRange,
+    updateStock,
+    getLowStockItems,
+    getTrash,
+    restoreMenuItem,
+    purgeMenuItem
 } = require("../controllers/menu-controller");
-const { authMiddleware, authorize } = require("../middlewares/authMiddleware");
+const { uploadMenuImage, deleteMenuImage } = require("../controllers/menu-image-controller");
+const { exportMenu, importMenu } = require("../controllers/menu-transfer-controller");
+const { searchMenu, suggestMenuItems } = require("../controllers/menu-search-controller");
+const { getMenuReviews, addReview } = require("../controllers/review-controller");
+const {
+    getPriceHistory,
+    getScheduledPriceChanges,
+    schedulePriceChange,
+    cancelPriceChange
+} = require("../controllers/price-controller");
+const { authMiddleware, optionalAuth, requirePermission } = require("../middlewares/authMiddleware");
+const { uploadImage, uploadImportFile } = require("../middlewares/uploadMiddleware");
 
 const route = require("express").Router();
 
+// Staff routes that would otherwise match /:id
+route.get('/admin/low-stock', authMiddleware, requirePermission("inventory:manage"), getLowStockItems);
+route.get('/admin/trash', authMiddleware, requirePermission("menu:write"), getTrash);
+route.delete('/admin/trash/:id', authMiddleware, requirePermission("menu:write"), purgeMenuItem);
+route.get('/admin/export', authMiddleware, requirePermission("menu:write"), exportMenu);
+route.post('/admin/import', authMiddleware, requirePermission("menu:write"), uploadImportFile("file"), importMenu);
+
 // Public routes
-route.get('/', getAllMenu);
+route.get('/', optionalAuth, getAllMenu); // Applies a signed-in user's dietary profile
+route.get('/search', optionalAuth, searchMenu); // Applies a signed-in user's dietary profile
+route.get('/search/suggest', suggestMenuItems);
 route.get('/categories', getMenuCategories);
 route.get('/price-range', getPriceRange);
 route.get('/:id', getSingleMenuItem);
+route.get('/:id/reviews', getMenuReviews);
+
+// Customer routes
+route.post('/:id/reviews', authMiddleware, addReview);
 
-// Admin only routes
-route.post("/", authMiddleware, authorize("admin"), addItemMenu);
-route.put('/:id', authMiddleware, authorize("admin"), editSingleMenuItem);
-route.delete('/:id', authMiddleware, authorize("admin"), deleteSingleMenuItem);
+// Staff routes, guarded by permission
+route.post("/", authMiddleware, requirePermission("menu:write"), addItemMenu);
+route.put('/:id', authMiddleware, requirePermission("menu:write"), editSingleMenuItem);
+route.delete('/:id', authMiddleware, requirePermission("menu:write"), deleteSingleMenuItem);
+route.post('/:id/restore', authMiddleware, requirePermission("menu:write"), restoreMenuItem);
+route.put('/:id/stock', authMiddleware, requirePermission("inventory:manage"), updateStock);
+route.post('/:id/images', authMiddleware, requirePermission("menu:write"), uploadImage("image"), uploadMenuImage);
+route.delete('/:id/images/:imageId', authMiddleware, requirePermission("menu:write"), deleteMenuImage);
+route.get('/:id/price-history', authMiddleware, requirePermission("menu:write"), getPriceHistory);
+route.get('/:id/price-changes', authMiddleware, requirePermission("menu:write"), getScheduledPriceChanges);
+route.post('/:id/price-changes', authMiddleware, requirePermission("menu:write"), schedulePriceChange);
+route.delete('/:id/price-changes/:changeId', authMiddleware, requirePermission("menu:write"), cancelPriceChange);
 
 module.exports = route;
\ No newline at end of file
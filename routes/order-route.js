@@ -0,0 +1,21 @@
+const {
+    createOrder,
+    getMyOrders,
+    getSingleOrder,
+    getAllOrders,
+    updateOrderStatus
+} = require("../controllers/order-controller");
+const { authMiddleware, requirePermission } = require("../middlewares/authMiddleware");
+
+const route = require("express").Router();
+
+// Staff routes, guarded by permission
+route.get('/admin/all', authMiddleware, requirePermission("orders:read"), getAllOrders);
+route.put('/:id/status', authMiddleware, requirePermission("orders:update-status"), updateOrderStatus);
+
+// Customer routes
+route.get('/', authMiddleware, getMyOrders);
+route.post('/', authMiddleware, createOrder);
+route.get('/:id', authMiddleware, getSingleOrder);
+
+module.exports = route;
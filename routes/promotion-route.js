@@ -0,0 +1,25 @@
+const {
+    getActivePromotions,
+    getQuote,
+    listPromotions,
+    createPromotion,
+    updatePromotion,
+    deletePromotion
+} = require("../controllers/promotion-controller");
+const { authMiddleware, requirePermission } = require("../middlewares/authMiddleware");
+
+const route = require("express").Router();
+
+// Public routes
+route.get('/active', getActivePromotions);
+
+// Customer routes
+route.post('/quote', authMiddleware, getQuote);
+
+// Staff routes, guarded by permission
+route.get('/', authMiddleware, requirePermission("promotions:manage"), listPromotions);
+route.post('/', authMiddleware, requirePermission("promotions:manage"), createPromotion);
+route.put('/:id', authMiddleware, requirePermission("promotions:manage"), updatePromotion);
+route.delete('/:id', authMiddleware, requirePermission("promotions:manage"), deletePromotion);
+
+module.exports = route;
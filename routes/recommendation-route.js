@@ -0,0 +1,9 @@
+const { getRecommendations } = require("../controllers/recommendation-controller");
+const { authMiddleware } = require("../middlewares/authMiddleware");
+
+const route = require("express").Router();
+
+// Customer routes
+route.get('/', authMiddleware, getRecommendations);
+
+module.exports = route;
@@ -0,0 +1,21 @@
+const {
+    getMyReviews,
+    updateMyReview,
+    deleteReview,
+    listReviews,
+    moderateReview
+} = require("../controllers/review-controller");
+const { authMiddleware, requirePermission } = require("../middlewares/authMiddleware");
+
+const route = require("express").Router();
+
+// Customer routes; reviews are added under /api/v1/menu/:id/reviews
+route.get('/mine', authMiddleware, getMyReviews);
+route.put('/:id', authMiddleware, updateMyReview);
+route.delete('/:id', authMiddleware, deleteReview); // Own reviews, or any with reviews:moderate
+
+// Staff routes, guarded by permission
+route.get('/admin/all', authMiddleware, requirePermission("reviews:moderate"), listReviews);
+route.put('/:id/status', authMiddleware, requirePermission("reviews:moderate"), moderateReview);
+
+module.exports = route;
@@ -0,0 +1,10 @@
+const { getRoles, updateRolePermissions } = require("../controllers/role-controller");
+const { authMiddleware, requirePermission } = require("../middlewares/authMiddleware");
+
+const route = require("express").Router();
+
+// Staff routes, guarded by permission
+route.get('/', authMiddleware, requirePermission("roles:manage"), getRoles);
+route.put('/:name', authMiddleware, requirePermission("roles:manage"), updateRolePermissions);
+
+module.exports = route;
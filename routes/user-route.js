@@ -1,15 +1,64 @@
 const Router = require("express").Router();
-const { registerUser, createAdmin, login, getProfile } = require("../controllers/user-controller");
-const { authMiddleware, authorize } = require("../middlewares/authMiddleware");
+const {
+    registerUser,
+    createAdmin,
+    login,
+    getProfile,
+    refreshToken,
+    logout,
+    logoutAll,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    updateProfile,
+    changePassword,
+    deleteAccount
+} = require("../controllers/user-controller");
+const {
+    listUsers,
+    getUser,
+    getUserOrders,
+    updateUserRole,
+    updateUserStatus
+} = require("../controllers/user-admin-controller");
+const { authMiddleware, requirePermission, rateLimit } = require("../middlewares/authMiddleware");
+
+// Limit emails sent to any one address, and attempts from any one client
+const HOUR = 60 * 60 * 1000;
+const perEmail = (prefix) => (req) => `${prefix}:${String(req.body?.email || req.user?.email || "").trim().toLowerCase()}`;
+const perClient = (prefix) => (req) => `${prefix}:${req.ip}`;
 
 // Public routes
 Router.route("/register").post(registerUser);
 Router.route("/login").post(login);
+Router.route("/refresh").post(refreshToken);
+Router.route("/logout").post(logout);
+Router.route("/forgot-password").post(
+    rateLimit(10, HOUR, perClient("forgot-password")),
+    rateLimit(3, HOUR, perEmail("forgot-password")),
+    forgotPassword
+);
+Router.route("/reset-password").post(rateLimit(10, HOUR, perClient("reset-password")), resetPassword);
+Router.route("/verify-email").post(rateLimit(10, HOUR, perClient("verify-email")), verifyEmail);
 
 // Protected routes
-Router.route("/profile").get(authMiddleware, getProfile);
+Router.route("/profile").get(authMiddleware, getProfile).put(authMiddleware, updateProfile);
+Router.route("/password").put(authMiddleware, changePassword);
+Router.route("/account").delete(authMiddleware, deleteAccount);
+Router.route("/logout-all").post(authMiddleware, logoutAll);
+Router.route("/resend-verification").post(
+    authMiddleware,
+    rateLimit(3, HOUR, perEmail("resend-verification")),
+    resendVerification
+);
 
-// Admin only routes
-Router.route("/admin/create").post(authMiddleware, authorize("admin"), createAdmin);
+// Staff routes, guarded by permission
+Router.route("/admin/create").post(authMiddleware, requirePermission("users:create-admin"), createAdmin);
+Router.route("/admin/users").get(authMiddleware, requirePermission("users:manage"), listUsers);
+Router.route("/admin/users/:id").get(authMiddleware, requirePermission("users:manage"), getUser);
+Router.route("/admin/users/:id/orders").get(authMiddleware, requirePermission("users:manage"), getUserOrders);
+Router.route("/admin/users/:id/role").put(authMiddleware, requirePermission("users:manage"), updateUserRole);
+Router.route("/admin/users/:id/status").put(authMiddleware, requirePermission("users:manage"), updateUserStatus);
 
 module.exports = Router;
\ No newline at end of file
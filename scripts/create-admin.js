@@ -0,0 +1,99 @@
+// Create the first owner or admin account on a fresh deployment, since
+// /api/v1/auth/admin/create needs an admin to already exist.
+//
+//   npm run create-admin -- --name "Ada Obi" --email ada@example.com --phone 2348012345678
+//
+// The password is read from ADMIN_PASSWORD, or --password. Refuses to run when
+// an active owner or admin already exists unless --force is given.
+
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const RefreshToken = require("../models/RefreshToken");
+const { connect, disconnect, parseArgs } = require("./db");
+
+const USAGE = 'Usage: npm run create-admin -- --name "Full Name" --email you@example.com --phone 2348012345678 [--password secret] [--role owner|admin] [--force]';
+
+const createAdmin = async (args) => {
+    const name = typeof args.name === 'string' ? args.name.trim() : "";
+    const email = typeof args.email === 'string' ? args.email.trim().toLowerCase() : "";
+    const phoneNumber = typeof args.phone === 'string' ? args.phone.trim() : "";
+    const password = typeof args.password === 'string' ? args.password : process.env.ADMIN_PASSWORD;
+    const role = typeof args.role === 'string' ? args.role : "owner";
+
+    const missing = [];
+    if (!name) missing.push("--name");
+    if (!email) missing.push("--email");
+    if (!phoneNumber) missing.push("--phone");
+    if (!password) missing.push("--password or ADMIN_PASSWORD");
+    if (missing.length > 0) {
+        throw new Error(`Missing ${missing.join(", ")}\n${USAGE}`);
+    }
+
+    if (!Role.ADMIN_ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${Role.ADMIN_ROLES.join(", ")}`);
+    }
+
+    if (password.length < 6) {
+        throw new Error("Password must be at least 6 characters long");
+    }
+
+    await connect();
+
+    const existingAdmin = await User.findOne({ role: { $in: Role.ADMIN_ROLES }, isActive: true, deletedAt: { $exists: false } });
+    if (existingAdmin && !args.force) {
+        throw new Error(`An active ${existingAdmin.role} already exists (${existingAdmin.email}). Use --force to create another one.`);
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    // With --force an existing account with the same email or phone number
+    // is promoted instead of failing on the unique index
+    const existingUser = await User.findOne({ $or: [{ email }, { phoneNumber }] });
+    if (existingUser) {
+        if (!args.force) {
+            throw new Error(existingUser.email === email
+                ? "User with this email already exists. Use --force to promote them."
+                : "User with this phone number already exists. Use --force to promote them.");
+        }
+
+        existingUser.set({
+            name,
+            email,
+            phoneNumber,
+            password: hashedPassword,
+            role,
+            isActive: true
+        });
+        await existingUser.save();
+
+        // Log out sessions that were signed in with the old password
+        await RefreshToken.revokeAllForUser(existingUser._id);
+        return { user: existingUser, created: false };
+    }
+
+    const user = await User.create({
+        name,
+        email,
+        phoneNumber,
+        password: hashedPassword,
+        role,
+        isEmailVerified: true,
+        emailVerifiedAt: new Date()
+    });
+    return { user, created: true };
+};
+
+createAdmin(parseArgs(process.argv.slice(2)))
+    .then(({ user, created }) => {
+        console.log(`✅ ${created ? "Created" : "Promoted"} ${user.role} ${user.email}`);
+    })
+    .catch(error => {
+        if (error.name === 'ValidationError') {
+            console.error("❌ Validation failed:", Object.values(error.errors).map(e => e.message).join(", "));
+        } else {
+            console.error("❌", error.message);
+        }
+        process.exitCode = 1;
+    })
+    .finally(disconnect);
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+require('dotenv').config();
+
+const Category = require("../models/Category");
+const Role = require("../models/Role");
+
+// Connect for a one-off command, making sure the default categories and roles
+// exist just like when the server starts
+const connect = async () => {
+    if (!process.env.MONGODB_URI) {
+        throw new Error("MONGODB_URI is not set. Please check your .env file");
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    await Category.seedDefaults();
+    await Role.seedDefaults();
+};
+
+const disconnect = () => mongoose.connection.close();
+
+// Read `--flag value` and `--flag` (boolean) options from the command line
+const parseArgs = (argv) => {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith("--")) {
+            continue;
+        }
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith("--")) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+};
+
+module.exports = {
+    connect,
+    disconnect,
+    parseArgs
+};
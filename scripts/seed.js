@@ -0,0 +1,90 @@
+// Load the sample Methods Grill menu from scripts/fixtures/menu.json.
+//
+//   npm run seed             Create fixture items that don't exist yet
+//   npm run seed -- --update Also overwrite existing items with the fixture data
+//
+// Items are matched by name, so running the seed again never creates
+// duplicates. Without --update, items that already exist (and any edits made
+// to them since) are left alone.
+
+const path = require("path");
+const Menu = require("../models/Menu");
+const Category = require("../models/Category");
+const { validateMenuOptions, normalizeModifierGroups } = require("../utils/menuOptions");
+const { validateSchedule } = require("../utils/availability");
+const { recordPriceChange } = require("../utils/priceHistory");
+const { connect, disconnect, parseArgs } = require("./db");
+
+const FIXTURE_FILE = path.join(__dirname, "fixtures", "menu.json");
+
+const seed = async (args) => {
+    const fixtures = require(FIXTURE_FILE);
+
+    await connect();
+
+    const categories = await Category.find().select("name");
+    const categoryNames = new Set(categories.map(category => category.name));
+
+    const summary = { created: 0, updated: 0, skipped: 0, failed: 0 };
+
+    for (const fixture of fixtures) {
+        const category = fixture.category.trim().toLowerCase();
+        const errors = [
+            ...validateMenuOptions(fixture),
+            ...validateSchedule(fixture.availability)
+        ];
+        if (!categoryNames.has(category)) {
+            errors.push(`Category "${category}" does not exist`);
+        }
+        if (errors.length > 0) {
+            console.error(`❌ ${fixture.name}: ${errors.join(", ")}`);
+            summary.failed++;
+            continue;
+        }
+
+        const data = { ...fixture, category };
+        if (data.modifierGroups) {
+            data.modifierGroups = normalizeModifierGroups(data.modifierGroups);
+        }
+
+        try {
+            const existing = await Menu.findOne({ name: fixture.name });
+            if (!existing) {
+                const menu = await Menu.create(data);
+                await recordPriceChange(menu, { source: "create", note: "Seeded" });
+                console.log(`➕ ${fixture.name}`);
+                summary.created++;
+            } else if (args.update) {
+                const previous = existing.toObject();
+                existing.set(data);
+                await existing.save();
+                await recordPriceChange(existing, { previous, source: "edit", note: "Seeded" });
+                console.log(`✏️  ${fixture.name}`);
+                summary.updated++;
+            } else {
+                summary.skipped++;
+            }
+        } catch (error) {
+            const message = error.name === 'ValidationError'
+                ? Object.values(error.errors).map(e => e.message).join(", ")
+                : error.message;
+            console.error(`❌ ${fixture.name}: ${message}`);
+            summary.failed++;
+        }
+    }
+
+    return summary;
+};
+
+seed(parseArgs(process.argv.slice(2)))
+    .then(({ created, updated, skipped, failed }) => {
+        console.log(`✅ Seed finished: ${created} created, ${updated} updated, ${skipped} already existed, ${failed} failed`);
+        if (failed > 0) {
+            process.exitCode = 1;
+        }
+    })
+    .catch(error => {
+        console.error("❌ Seed failed:", error.message);
+        process.exitCode = 1;
+    })
+    .finally(disconnect);
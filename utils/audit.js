@@ -0,0 +1,64 @@
+const AuditLog = require("../models/AuditLog");
+
+// Bookkeeping fields that change on every save and say nothing about the edit
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt", "password", "tokenVersion"];
+
+const toPlain = (value) => {
+    if (!value) {
+        return {};
+    }
+    const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+    // Round-trip through JSON so ObjectIds and dates compare as strings
+    return JSON.parse(JSON.stringify(plain));
+};
+
+// Top-level fields that differ between two versions of a record. Either side
+// may be null, for creations and deletions.
+const diff = (before, after) => {
+    const oldValues = toPlain(before);
+    const newValues = toPlain(after);
+    const changes = { before: {}, after: {} };
+
+    const fields = new Set([...Object.keys(oldValues), ...Object.keys(newValues)]);
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) {
+            return;
+        }
+        if (JSON.stringify(oldValues[field]) === JSON.stringify(newValues[field])) {
+            return;
+        }
+        if (oldValues[field] !== undefined) changes.before[field] = oldValues[field];
+        if (newValues[field] !== undefined) changes.after[field] = newValues[field];
+    });
+
+    return changes;
+};
+
+// Record a staff change. Never throws: a failure to write the log is
+// reported but doesn't undo or fail the change itself.
+const recordAudit = async (req, { action, entity, entityId, label, before = null, after = null }) => {
+    try {
+        const changes = diff(before, after);
+
+        await AuditLog.create({
+            actor: req.user.userId,
+            actorEmail: req.user.email,
+            actorRole: req.user.role,
+            action,
+            entity,
+            entityId: entityId?.toString(),
+            label,
+            before: changes.before,
+            after: changes.after,
+            ip: req.ip,
+            userAgent: req.get('User-Agent')?.slice(0, 500)
+        });
+    } catch (err) {
+        console.error(`Audit log error for ${action}:`, err);
+    }
+};
+
+module.exports = {
+    diff,
+    recordAudit
+};
@@ -0,0 +1,135 @@
+// Helpers for time-based menu availability schedules
+
+const RESTAURANT_TIMEZONE = process.env.RESTAURANT_TIMEZONE || "Africa/Lagos";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone: RESTAURANT_TIMEZONE,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23"
+});
+
+// Day of week (0-6) and minutes since midnight in the restaurant's timezone
+const getLocalTime = (date) => {
+    const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+    return {
+        day: WEEKDAYS.indexOf(parts.weekday),
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+    };
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+};
+
+// Whether a schedule allows ordering at the given moment. No schedule means
+// always available.
+const isScheduleActive = (schedule, date = new Date()) => {
+    if (!schedule) {
+        return true;
+    }
+
+    if (schedule.startDate && date < schedule.startDate) return false;
+    if (schedule.endDate && date > schedule.endDate) return false;
+
+    const { day, minutes } = getLocalTime(date);
+    const days = schedule.daysOfWeek || [];
+    const windows = schedule.timeWindows || [];
+    const onDay = (d) => days.length === 0 || days.includes(d);
+
+    if (windows.length === 0) {
+        return onDay(day);
+    }
+
+    const previousDay = (day + 6) % 7;
+    return windows.some(window => {
+        const start = toMinutes(window.start);
+        const end = toMinutes(window.end);
+
+        if (start <= end) {
+            return onDay(day) && minutes >= start && minutes < end;
+        }
+
+        // Overnight window: the part after midnight belongs to the previous day
+        return (onDay(day) && minutes >= start) || (onDay(previousDay) && minutes < end);
+    });
+};
+
+// Effective availability of a menu item: its manual flag, its own schedule
+// and its category's schedule must all allow it
+const isAvailableAt = (menu, category, date = new Date()) => {
+    if (!menu.isAvailable) {
+        return false;
+    }
+    if (!isScheduleActive(menu.availability, date)) {
+        return false;
+    }
+    return !category || isScheduleActive(category.availability, date);
+};
+
+// Validate a schedule sent by an admin. `null` clears the schedule. Returns a
+// list of error messages, empty when valid.
+const validateSchedule = (schedule) => {
+    const errors = [];
+
+    if (schedule === undefined || schedule === null) {
+        return errors;
+    }
+    if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+        return ["Availability must be an object"];
+    }
+
+    const { daysOfWeek, timeWindows, startDate, endDate } = schedule;
+
+    if (daysOfWeek !== undefined && (!Array.isArray(daysOfWeek) ||
+        !daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+        errors.push("daysOfWeek must be an array of numbers from 0 (Sunday) to 6 (Saturday)");
+    }
+
+    if (timeWindows !== undefined) {
+        if (!Array.isArray(timeWindows)) {
+            errors.push("timeWindows must be an array");
+        } else {
+            timeWindows.forEach((window, index) => {
+                if (!window || !TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+                    errors.push(`Time window ${index + 1} must have start and end times in HH:mm format`);
+                } else if (window.start === window.end) {
+                    errors.push(`Time window ${index + 1} start and end times must differ`);
+                }
+            });
+        }
+    }
+
+    const start = startDate !== undefined ? new Date(startDate) : null;
+    const end = endDate !== undefined ? new Date(endDate) : null;
+    if (start && isNaN(start)) errors.push("startDate must be a valid date");
+    if (end && isNaN(end)) errors.push("endDate must be a valid date");
+    if (start && end && !isNaN(start) && !isNaN(end) && start > end) {
+        errors.push("startDate cannot be after endDate");
+    }
+
+    return errors;
+};
+
+// Parse the optional "at" query parameter used to view the menu as of a
+// given time (e.g. for pre-ordering). Returns null when it's not a valid date.
+const parseAt = (at) => {
+    if (at === undefined) {
+        return new Date();
+    }
+    const date = new Date(at);
+    return isNaN(date) ? null : date;
+};
+
+module.exports = {
+    RESTAURANT_TIMEZONE,
+    isScheduleActive,
+    isAvailableAt,
+    validateSchedule,
+    parseAt
+};
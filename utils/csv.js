@@ -0,0 +1,79 @@
+// Minimal CSV reading and writing (RFC 4180): comma separated, fields quoted
+// with double quotes when they contain commas, quotes or line breaks.
+
+// Parse CSV text into an array of rows, each an array of strings. Blank lines
+// are skipped. Throws when a quoted field is never closed.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    // Spreadsheet apps often save a byte order mark at the start
+    const input = text.replace(/^\uFEFF/, "");
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== "") {
+            rows.push(row);
+        }
+        row = [];
+        field = "";
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = "";
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error("CSV has a quoted field that is never closed");
+    }
+    if (field !== "" || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+};
+
+const escapeField = (value) => {
+    if (value === null || value === undefined) {
+        return "";
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Turn a header and rows of values into CSV text
+const toCsv = (header, rows) => {
+    return [header, ...rows]
+        .map(row => row.map(escapeField).join(","))
+        .join("\r\n") + "\r\n";
+};
+
+module.exports = {
+    parseCsv,
+    toCsv
+};
@@ -0,0 +1,70 @@
+// Opaque cursors for keyset pagination. A cursor holds the sort values of the
+// last item on a page; the next page starts after it, so there is no skip and
+// no count, and items added or removed meanwhile don't shift the pages.
+
+// Sort order as [field, direction] pairs, ending with _id so every item has
+// a distinct position
+const sortKeys = (sort) => {
+    const keys = Object.entries(sort).filter(([field]) => field !== '_id');
+    return [...keys, ['_id', keys.length > 0 ? keys[0][1] : 1]];
+};
+
+const describeSort = (keys) => keys.map(([field, direction]) => `${field}:${direction}`).join(',');
+
+const encodeCursor = (doc, keys) => {
+    const values = keys.map(([field]) => {
+        const value = doc.get ? doc.get(field) : doc[field];
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        // ObjectIds are stored as hex strings
+        return value !== null && typeof value === 'object' ? value.toString() : value ?? null;
+    });
+    return Buffer.from(JSON.stringify({ s: describeSort(keys), v: values })).toString("base64url");
+};
+
+// Read a cursor made for the same sort order. Returns the sort values, or
+// null when the cursor is malformed or was made for another sort.
+const decodeCursor = (cursor, keys, schema) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    } catch (err) {
+        return null;
+    }
+    if (!payload || payload.s !== describeSort(keys) || !Array.isArray(payload.v) || payload.v.length !== keys.length) {
+        return null;
+    }
+
+    // Check each value fits its field, so a tampered cursor can't fail the query
+    const valid = keys.every(([field], index) => {
+        const value = payload.v[index];
+        switch (schema.path(field)?.instance) {
+            case 'ObjectId': return typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value);
+            case 'Date': return typeof value === 'string' && !isNaN(new Date(value));
+            case 'Number': return value === null || typeof value === 'number';
+            default: return value === null || typeof value === 'string';
+        }
+    });
+    return valid ? payload.v : null;
+};
+
+// Query condition for the items after the cursor position: for each sort
+// key, items equal on the keys before it and past the cursor on this one
+const afterCursor = (keys, values) => ({
+    $or: keys.map(([field, direction], index) => {
+        const condition = {};
+        keys.slice(0, index).forEach(([previous], i) => {
+            condition[previous] = values[i];
+        });
+        condition[field] = { [direction > 0 ? '$gt' : '$lt']: values[index] };
+        return condition;
+    })
+});
+
+module.exports = {
+    sortKeys,
+    encodeCursor,
+    decodeCursor,
+    afterCursor
+};
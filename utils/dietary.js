@@ -0,0 +1,83 @@
+const Menu = require("../models/Menu");
+const User = require("../models/User");
+
+const splitList = (value) => String(value)
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+// Read dietary filters from the query string: `excludeAllergens` and
+// `dietary` (comma separated) and `maxSpicyLevel`. Returns { filters, errors }.
+const parseDietaryQuery = ({ excludeAllergens, maxSpicyLevel, dietary }) => {
+    const filters = {};
+    const errors = [];
+
+    if (excludeAllergens !== undefined) {
+        filters.excludedAllergens = splitList(excludeAllergens);
+        const unknown = filters.excludedAllergens.filter(allergen => !Menu.ALLERGENS.includes(allergen));
+        if (unknown.length > 0) {
+            errors.push(`Allergens must be among: ${Menu.ALLERGENS.join(", ")}`);
+        }
+    }
+
+    if (maxSpicyLevel !== undefined && maxSpicyLevel !== '') {
+        filters.maxSpicyLevel = Number(maxSpicyLevel);
+        if (!Number.isInteger(filters.maxSpicyLevel) || filters.maxSpicyLevel < 0 || filters.maxSpicyLevel > 5) {
+            errors.push("maxSpicyLevel must be a whole number between 0 and 5");
+        }
+    }
+
+    if (dietary !== undefined) {
+        filters.dietaryTags = splitList(dietary);
+        const unknown = filters.dietaryTags.filter(tag => !Menu.DIETARY_TAGS.includes(tag));
+        if (unknown.length > 0) {
+            errors.push(`Dietary tags must be among: ${Menu.DIETARY_TAGS.join(", ")}`);
+        }
+    }
+
+    return { filters, errors };
+};
+
+// The filters to apply for a request: the signed-in user's saved profile
+// (unless `useProfile` is false) combined with the query. Allergens and tags
+// from both apply; a `maxSpicyLevel` in the query replaces the saved one.
+const resolveDietaryFilters = async (user, requested, useProfile = true) => {
+    let profile = null;
+    if (user && useProfile) {
+        const account = await User.findById(user.userId).select('dietaryProfile');
+        profile = account?.dietaryProfile || null;
+    }
+
+    const maxSpicyLevel = requested.maxSpicyLevel ?? profile?.maxSpicyLevel ?? null;
+
+    return {
+        excludedAllergens: [...new Set([...(profile?.excludedAllergens || []), ...(requested.excludedAllergens || [])])],
+        maxSpicyLevel,
+        dietaryTags: [...new Set([...(profile?.dietaryTags || []), ...(requested.dietaryTags || [])])],
+        fromProfile: Boolean(profile)
+    };
+};
+
+// Menu query conditions for a set of dietary filters, to combine with $and.
+// Vegan items count as vegetarian.
+const dietaryConditions = ({ excludedAllergens = [], maxSpicyLevel = null, dietaryTags = [] }) => {
+    const conditions = [];
+
+    if (excludedAllergens.length > 0) {
+        conditions.push({ allergens: { $nin: excludedAllergens } });
+    }
+    if (maxSpicyLevel !== null && maxSpicyLevel !== undefined) {
+        conditions.push({ spicyLevel: { $lte: maxSpicyLevel } });
+    }
+    dietaryTags.forEach(tag => {
+        conditions.push({ dietaryTags: tag === "vegetarian" ? { $in: ["vegetarian", "vegan"] } : tag });
+    });
+
+    return conditions;
+};
+
+module.exports = {
+    parseDietaryQuery,
+    resolveDietaryFilters,
+    dietaryConditions
+};
@@ -0,0 +1,32 @@
+const { EventEmitter } = require("events");
+
+// In-process event bus used to push live updates to connected clients.
+// Events only reach clients connected to the same server instance.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+let lastEventId = 0;
+
+// Publish an event. Pass `userId` to restrict an event to that user (admins
+// still receive it); events without a `userId` go to every subscriber.
+const publish = (type, data, { userId } = {}) => {
+    lastEventId += 1;
+    emitter.emit("event", {
+        id: lastEventId,
+        type,
+        data,
+        userId: userId ? userId.toString() : undefined,
+        timestamp: new Date().toISOString()
+    });
+};
+
+// Subscribe to all events. Returns a function that removes the listener.
+const subscribe = (listener) => {
+    emitter.on("event", listener);
+    return () => emitter.off("event", listener);
+};
+
+module.exports = {
+    publish,
+    subscribe
+};
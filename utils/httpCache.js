@@ -0,0 +1,57 @@
+// Conditional GET support for the public menu API: ETag and Last-Modified
+// validators, so clients can revalidate a cached response and get a 304
+// instead of downloading it again.
+
+const crypto = require("crypto");
+const Menu = require("../models/Menu");
+const Category = require("../models/Category");
+
+// What every public menu listing depends on: the latest change to any menu
+// item, including moving one to the trash, and to any category. Deleting a
+// category changes no updatedAt, so the number of categories counts too.
+// `hasSchedules` tells whether availability can change with the time alone.
+const getMenuVersion = async () => {
+    const [latestMenu, latestCategory, categoryCount, scheduledMenu, scheduledCategory] = await Promise.all([
+        Menu.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean(),
+        Category.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean(),
+        Category.countDocuments(),
+        Menu.exists({ deletedAt: null, availability: { $ne: null } }),
+        Category.exists({ availability: { $ne: null } })
+    ]);
+
+    return {
+        updatedAt: [latestMenu?.updatedAt, latestCategory?.updatedAt],
+        parts: [categoryCount],
+        hasSchedules: Boolean(scheduledMenu || scheduledCategory)
+    };
+};
+
+// Set the validators for a response and tell whether the client's copy is
+// still current, in which case the caller answers 304 without building the
+// response. `updatedAt` are the change times the response depends on and
+// `parts` anything else it varies with, such as filters. Responses saying
+// whether items are available now also change as schedules open and close,
+// so with `timeDependent` they change every minute.
+const isNotModified = (req, res, { updatedAt = [], parts = [], timeDependent = false }) => {
+    const times = updatedAt.filter(Boolean).map(date => new Date(date).getTime());
+    if (timeDependent) {
+        times.push(Math.floor(Date.now() / 60000) * 60000);
+    }
+
+    const hash = crypto.createHash("sha1")
+        .update(JSON.stringify([times, parts]))
+        .digest("base64url");
+
+    res.set({
+        "ETag": `W/"${hash}"`,
+        "Last-Modified": new Date(Math.max(0, ...times)).toUTCString(),
+        "Cache-Control": "no-cache" // Cache, but revalidate before each use
+    });
+
+    return req.fresh;
+};
+
+module.exports = {
+    getMenuVersion,
+    isNotModified
+};
@@ -0,0 +1,85 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { getStorage } = require("./storage");
+
+// Menu photos are re-encoded as WebP, which also strips any metadata (e.g.
+// GPS location) from the original file
+const ALLOWED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_IMAGE_SIZE = (parseFloat(process.env.MAX_UPLOAD_SIZE_MB) || 5) * 1024 * 1024;
+const IMAGE_MAX_WIDTH = 1600;
+const THUMBNAIL_SIZE = 400;
+
+// Resize an uploaded image and its square thumbnail. Returns `{ error }` when
+// the file can't be read as an image, whatever its declared type.
+const processImage = async (buffer) => {
+    try {
+        const source = sharp(buffer, { failOn: "error" }).rotate(); // Apply EXIF orientation
+
+        const [image, thumbnail] = await Promise.all([
+            source.clone()
+                .resize({ width: IMAGE_MAX_WIDTH, height: IMAGE_MAX_WIDTH, fit: "inside", withoutEnlargement: true })
+                .webp({ quality: 82 })
+                .toBuffer({ resolveWithObject: true }),
+            source.clone()
+                .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: "cover" })
+                .webp({ quality: 75 })
+                .toBuffer({ resolveWithObject: true })
+        ]);
+
+        return { image, thumbnail };
+    } catch (err) {
+        return { error: "The uploaded file is not a valid image" };
+    }
+};
+
+// Process and store an uploaded image for a menu item. Returns the details
+// recorded on the item, or `{ error }`.
+const saveMenuImage = async (menuId, file) => {
+    const processed = await processImage(file.buffer);
+    if (processed.error) {
+        return processed;
+    }
+
+    const storage = getStorage();
+    const baseKey = `menu/${menuId}/${crypto.randomBytes(12).toString("hex")}`;
+    const key = `${baseKey}.webp`;
+    const thumbnailKey = `${baseKey}-thumb.webp`;
+
+    await storage.put(key, processed.image.data, "image/webp");
+    try {
+        await storage.put(thumbnailKey, processed.thumbnail.data, "image/webp");
+    } catch (err) {
+        await storage.remove(key).catch(() => {});
+        throw err;
+    }
+
+    return {
+        url: storage.urlFor(key),
+        thumbnailUrl: storage.urlFor(thumbnailKey),
+        key,
+        thumbnailKey,
+        width: processed.image.info.width,
+        height: processed.image.info.height,
+        size: processed.image.info.size,
+        originalName: file.originalname
+    };
+};
+
+// Delete the stored files for uploaded images. Failures are logged rather
+// than thrown, since the menu change they belong to has already happened.
+const removeMenuImages = async (uploads) => {
+    const storage = getStorage();
+    const keys = uploads.flatMap(upload => [upload.key, upload.thumbnailKey]).filter(Boolean);
+
+    await Promise.all(keys.map(key =>
+        storage.remove(key).catch(err => console.error(`Image cleanup error for ${key}:`, err))
+    ));
+};
+
+module.exports = {
+    ALLOWED_IMAGE_TYPES,
+    MAX_IMAGE_SIZE,
+    processImage,
+    saveMenuImage,
+    removeMenuImages
+};
@@ -0,0 +1,137 @@
+const Menu = require("../models/Menu");
+const Cart = require("../models/Cart");
+const { publish } = require("./eventBus");
+
+// Total quantity per menu item across order lines
+const quantitiesByMenu = (items) => {
+    const quantities = new Map();
+    items.forEach(item => {
+        const id = item.menuItem.toString();
+        quantities.set(id, (quantities.get(id) || 0) + item.quantity);
+    });
+    return quantities;
+};
+
+// Mark a menu item unavailable once its stock runs out
+const disableIfDepleted = async (menu, session) => {
+    if (menu.stockQuantity !== 0 || !menu.isAvailable) {
+        return false;
+    }
+    await Menu.updateOne(
+        { _id: menu._id, stockQuantity: 0 },
+        { $set: { isAvailable: false, stockDepletedAt: new Date() } },
+        { session }
+    );
+    return true;
+};
+
+// Make a menu item available again if it was only unavailable because it ran
+// out of stock
+const enableIfRestocked = async (menu, session) => {
+    if (!menu.stockDepletedAt || (menu.stockQuantity !== null && menu.stockQuantity <= 0)) {
+        return false;
+    }
+    await Menu.updateOne(
+        { _id: menu._id },
+        { $set: { isAvailable: true }, $unset: { stockDepletedAt: 1 } },
+        { session }
+    );
+    return true;
+};
+
+// Take stock for the given order lines. Items without stock tracking are
+// skipped. If any item doesn't have enough stock, everything taken so far is
+// put back and `{ error }` is returned. Otherwise returns the IDs of items
+// whose stock was taken and of items that sold out as a result.
+const reserveStock = async (items, session) => {
+    const reserved = [];
+    const depletedIds = [];
+
+    const rollback = async () => {
+        for (const { menuId, quantity } of reserved) {
+            await Menu.updateOne({ _id: menuId }, { $inc: { stockQuantity: quantity } }, { session });
+        }
+    };
+
+    for (const [menuId, quantity] of quantitiesByMenu(items)) {
+        const menu = await Menu.findOneAndUpdate(
+            { _id: menuId, stockQuantity: { $gte: quantity } },
+            { $inc: { stockQuantity: -quantity } },
+            { new: true, session }
+        );
+
+        if (!menu) {
+            const current = await Menu.findById(menuId).select('name stockQuantity').session(session);
+            if (!current || current.stockQuantity === null || current.stockQuantity === undefined) {
+                continue; // Not tracked
+            }
+            await rollback();
+            return {
+                error: current.stockQuantity > 0
+                    ? `Only ${current.stockQuantity} ${current.name} left in stock`
+                    : `${current.name} is out of stock`
+            };
+        }
+
+        reserved.push({ menuId, quantity });
+        if (await disableIfDepleted(menu, session)) {
+            depletedIds.push(menuId);
+        }
+    }
+
+    return {
+        reservedIds: reserved.map(entry => entry.menuId),
+        depletedIds
+    };
+};
+
+// Put back stock for order lines that had stock taken, e.g. when an order is
+// cancelled. Returns the IDs of items that became available again.
+const releaseStock = async (items, session) => {
+    const restockedIds = [];
+    const reservedItems = items.filter(item => item.stockReserved);
+
+    for (const [menuId, quantity] of quantitiesByMenu(reservedItems)) {
+        const menu = await Menu.findOneAndUpdate(
+            { _id: menuId, stockQuantity: { $ne: null } },
+            { $inc: { stockQuantity: quantity } },
+            { new: true, session }
+        );
+        if (menu && await enableIfRestocked(menu, session)) {
+            restockedIds.push(menuId);
+        }
+    }
+
+    return restockedIds;
+};
+
+// Switch a menu item's availability to match its stock level after an admin
+// changed the stock by hand. Returns the up-to-date menu item.
+const refreshStockAvailability = async (menu, session) => {
+    const changed = await disableIfDepleted(menu, session) || await enableIfRestocked(menu, session);
+    return changed ? Menu.findById(menu._id, null, { session }) : menu;
+};
+
+// Tell carts and live clients about menu items whose availability changed
+// because of stock movements
+const announceStockChanges = async (menuIds) => {
+    if (!menuIds || menuIds.length === 0) {
+        return;
+    }
+    try {
+        const menus = await Menu.find({ _id: { $in: menuIds } });
+        for (const menu of menus) {
+            await Cart.syncMenuItem(menu);
+            publish("menu:updated", menu);
+        }
+    } catch (err) {
+        console.error("Announce stock changes error:", err);
+    }
+};
+
+module.exports = {
+    reserveStock,
+    releaseStock,
+    refreshStockAvailability,
+    announceStockChanges
+};
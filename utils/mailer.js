@@ -0,0 +1,110 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Pluggable mail delivery. The transport is chosen with MAIL_TRANSPORT:
+//   console - print messages to the log (default outside production)
+//   file    - write each message as JSON to MAIL_FILE_DIR (for tests)
+//   smtp    - send through an SMTP server (for production)
+// Any object with an async `send(message)` method can be used via setTransport.
+
+const consoleTransport = {
+    send: async (message) => {
+        console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+};
+
+const fileTransport = (directory = process.env.MAIL_FILE_DIR || "./mail-outbox") => ({
+    send: async (message) => {
+        await fs.mkdir(directory, { recursive: true });
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, "_")}.json`;
+        await fs.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2));
+    }
+});
+
+const smtpTransport = () => {
+    const nodemailer = require("nodemailer");
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return {
+        send: (message) => transporter.sendMail(message)
+    };
+};
+
+// Stands in when mail isn't set up. Every send fails with MAIL_UNAVAILABLE,
+// so only the routes that email are affected and the rest of the API works.
+const unavailableTransport = (reason) => ({
+    unavailableReason: reason,
+    send: async () => {
+        const err = new Error(`Email is not available: ${reason}`);
+        err.code = "MAIL_UNAVAILABLE";
+        throw err;
+    }
+});
+
+// Emails carry live reset and verification links, so in production they must
+// never end up in the logs: MAIL_TRANSPORT has to be set and can't be console
+const createTransport = (name = process.env.MAIL_TRANSPORT) => {
+    const isProduction = process.env.NODE_ENV === 'production';
+    if (!name) {
+        if (isProduction) {
+            return unavailableTransport("MAIL_TRANSPORT must be set in production (smtp or file)");
+        }
+        name = "console";
+    }
+    if (name === "console" && isProduction) {
+        return unavailableTransport("the console mail transport can't be used in production");
+    }
+
+    switch (name) {
+        case "smtp":
+            return smtpTransport();
+        case "file":
+            return fileTransport();
+        case "console":
+            return consoleTransport;
+        default:
+            return unavailableTransport(`unknown mail transport ${name}`);
+    }
+};
+
+let transport = null;
+
+// Replace the active transport, e.g. with a stub in tests
+const setTransport = (newTransport) => {
+    transport = newTransport;
+};
+
+const getTransport = () => {
+    if (!transport) {
+        transport = createTransport();
+    }
+    return transport;
+};
+
+// Why emails can't be sent, or null when a transport is set up
+const mailUnavailableReason = () => getTransport().unavailableReason || null;
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+    return getTransport().send({
+        from: process.env.MAIL_FROM || "Methods Grill <no-reply@methodsgrill.com>",
+        to,
+        subject,
+        text,
+        html
+    });
+};
+
+module.exports = {
+    sendMail,
+    setTransport,
+    createTransport,
+    mailUnavailableReason
+};
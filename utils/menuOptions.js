@@ -0,0 +1,218 @@
+// Helpers for menu item variants (sizes) and modifier groups (add-ons)
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const hasDuplicateNames = (list) => {
+    const names = list.map(entry => entry.name.trim().toLowerCase());
+    return new Set(names).size !== names.length;
+};
+
+// Validate variants and modifier groups sent by an admin. Returns a list of
+// error messages, empty when everything is valid.
+const validateMenuOptions = ({ variants, modifierGroups }) => {
+    const errors = [];
+
+    if (variants !== undefined) {
+        if (!Array.isArray(variants)) {
+            errors.push("Variants must be an array");
+        } else {
+            variants.forEach((variant, index) => {
+                if (!variant || !isNonEmptyString(variant.name)) {
+                    errors.push(`Variant ${index + 1} must have a name`);
+                }
+                if (!variant || typeof variant.price !== 'number' || variant.price < 0) {
+                    errors.push(`Variant ${index + 1} must have a positive price`);
+                }
+            });
+            if (errors.length === 0 && hasDuplicateNames(variants)) {
+                errors.push("Variant names must be unique");
+            }
+        }
+    }
+
+    if (modifierGroups !== undefined) {
+        if (!Array.isArray(modifierGroups)) {
+            errors.push("Modifier groups must be an array");
+            return errors;
+        }
+
+        modifierGroups.forEach((group, index) => {
+            const label = isNonEmptyString(group?.name) ? `Modifier group "${group.name}"` : `Modifier group ${index + 1}`;
+
+            if (!group || !isNonEmptyString(group.name)) {
+                errors.push(`${label} must have a name`);
+                return;
+            }
+            if (!Array.isArray(group.options) || group.options.length === 0) {
+                errors.push(`${label} must have at least one option`);
+                return;
+            }
+
+            group.options.forEach((option, optionIndex) => {
+                if (!option || !isNonEmptyString(option.name)) {
+                    errors.push(`${label} option ${optionIndex + 1} must have a name`);
+                }
+                if (option && option.priceDelta !== undefined && typeof option.priceDelta !== 'number') {
+                    errors.push(`${label} option ${optionIndex + 1} price delta must be a number`);
+                }
+            });
+            if (group.options.every(option => option && isNonEmptyString(option.name)) && hasDuplicateNames(group.options)) {
+                errors.push(`${label} option names must be unique`);
+            }
+
+            const min = group.minSelections ?? (group.isRequired ? 1 : 0);
+            const max = group.maxSelections ?? 1;
+
+            if (!Number.isInteger(min) || min < 0) {
+                errors.push(`${label} minimum selections must be a whole number`);
+            }
+            if (!Number.isInteger(max) || max < 1) {
+                errors.push(`${label} maximum selections must be at least 1`);
+            }
+            if (min > max) {
+                errors.push(`${label} minimum selections cannot exceed maximum selections`);
+            }
+            if (max > group.options.length) {
+                errors.push(`${label} maximum selections cannot exceed the number of options`);
+            }
+            if (group.isRequired && min < 1) {
+                errors.push(`${label} is required, so minimum selections must be at least 1`);
+            }
+        });
+
+        if (modifierGroups.every(group => group && isNonEmptyString(group.name)) && hasDuplicateNames(modifierGroups)) {
+            errors.push("Modifier group names must be unique");
+        }
+    }
+
+    return errors;
+};
+
+// Fill in selection limits that were left out, so stored groups are explicit
+const normalizeModifierGroups = (modifierGroups) => {
+    return modifierGroups.map(group => {
+        const minSelections = group.minSelections ?? (group.isRequired ? 1 : 0);
+        return {
+            ...group,
+            isRequired: minSelections > 0,
+            minSelections,
+            maxSelections: group.maxSelections ?? 1
+        };
+    });
+};
+
+// Work out the unit price of a menu item for the customer's chosen variant
+// and modifier options (both given by ID). Returns `{ error }` when the
+// selection is invalid for this item.
+const resolveSelection = (menu, { variant, modifiers = [] } = {}) => {
+    const variants = menu.variants || [];
+    const modifierGroups = menu.modifierGroups || [];
+
+    let chosenVariant = null;
+    if (variants.length > 0) {
+        if (!variant) {
+            return { error: `Please choose a variant for ${menu.name}` };
+        }
+        chosenVariant = variants.find(v => v._id.toString() === variant);
+        if (!chosenVariant) {
+            return { error: `Invalid variant for ${menu.name}` };
+        }
+        if (chosenVariant.isAvailable === false) {
+            return { error: `${chosenVariant.name} ${menu.name} is currently unavailable` };
+        }
+    } else if (variant) {
+        return { error: `${menu.name} has no variants` };
+    }
+
+    if (!Array.isArray(modifiers) || modifiers.some(id => typeof id !== 'string')) {
+        return { error: `Invalid modifiers for ${menu.name}` };
+    }
+    if (new Set(modifiers).size !== modifiers.length) {
+        return { error: `Duplicate modifiers for ${menu.name}` };
+    }
+
+    const chosenModifiers = [];
+    for (const id of modifiers) {
+        let match = null;
+        for (const group of modifierGroups) {
+            const option = group.options.find(o => o._id.toString() === id);
+            if (option) {
+                match = { group, option };
+                break;
+            }
+        }
+        if (!match) {
+            return { error: `Invalid modifier for ${menu.name}` };
+        }
+        if (match.option.isAvailable === false) {
+            return { error: `${match.option.name} is currently unavailable` };
+        }
+        chosenModifiers.push(match);
+    }
+
+    for (const group of modifierGroups) {
+        const count = chosenModifiers.filter(m => m.group === group).length;
+        if (count < group.minSelections) {
+            return { error: `Please choose at least ${group.minSelections} from ${group.name} for ${menu.name}` };
+        }
+        if (count > group.maxSelections) {
+            return { error: `You can choose at most ${group.maxSelections} from ${group.name} for ${menu.name}` };
+        }
+    }
+
+    const basePrice = chosenVariant ? chosenVariant.price : menu.price;
+    const unitPrice = chosenModifiers.reduce((sum, m) => sum + (m.option.priceDelta || 0), basePrice);
+
+    return {
+        unitPrice: Math.max(0, Math.round(unitPrice * 100) / 100),
+        variant: chosenVariant ? { _id: chosenVariant._id, name: chosenVariant.name } : undefined,
+        modifiers: chosenModifiers.map(m => ({
+            _id: m.option._id,
+            group: m.group.name,
+            name: m.option.name,
+            priceDelta: m.option.priceDelta || 0
+        }))
+    };
+};
+
+// Aggregation stages that give each menu item its lowest and highest
+// possible price, taking variants into account
+const itemPriceBoundsStage = {
+    $project: {
+        minItemPrice: {
+            $cond: [
+                { $gt: [{ $size: { $ifNull: ["$variants", []] } }, 0] },
+                { $min: "$variants.price" },
+                "$price"
+            ]
+        },
+        maxItemPrice: {
+            $cond: [
+                { $gt: [{ $size: { $ifNull: ["$variants", []] } }, 0] },
+                { $max: "$variants.price" },
+                "$price"
+            ]
+        }
+    }
+};
+
+// Pipeline computing the overall min, max and average starting price
+const priceStatsPipeline = (match = {}) => [
+    { $match: match },
+    itemPriceBoundsStage,
+    {
+        $group: {
+            _id: null,
+            minPrice: { $min: "$minItemPrice" },
+            maxPrice: { $max: "$maxItemPrice" },
+            avgPrice: { $avg: "$minItemPrice" }
+        }
+    }
+];
+
+module.exports = {
+    validateMenuOptions,
+    normalizeModifierGroups,
+    resolveSelection,
+    priceStatsPipeline
+};
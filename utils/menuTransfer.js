@@ -0,0 +1,227 @@
+// Converting menu items to and from the portable format used by the bulk
+// export and import: plain JSON objects, or CSV rows with one column per field.
+
+const IMPORT_FORMATS = ["csv", "json"];
+const MAX_IMPORT_SIZE = 2 * 1024 * 1024; // 2MB
+const MAX_IMPORT_ROWS = 1000;
+
+// Separator for list columns in CSV, e.g. "nuts|dairy"
+const LIST_SEPARATOR = "|";
+
+// CSV columns in export order. `path` is where the value lives on the item;
+// nested options and schedules don't fit in a cell, so they are JSON text.
+const COLUMNS = [
+    { name: "name", type: "string" },
+    { name: "category", type: "string" },
+    { name: "price", type: "number" },
+    { name: "description", type: "string" },
+    { name: "ingredients", type: "string" },
+    { name: "isAvailable", type: "boolean" },
+    { name: "preparationTime", type: "number" },
+    { name: "spicyLevel", type: "number" },
+    { name: "allergens", type: "list" },
+    { name: "dietaryTags", type: "list" },
+    { name: "featuredImage", type: "string" },
+    { name: "images", type: "list" },
+    { name: "stockQuantity", type: "number" },
+    { name: "lowStockThreshold", type: "number" },
+    { name: "calories", path: ["nutritionalInfo", "calories"], type: "number" },
+    { name: "protein", path: ["nutritionalInfo", "protein"], type: "number" },
+    { name: "carbs", path: ["nutritionalInfo", "carbs"], type: "number" },
+    { name: "fat", path: ["nutritionalInfo", "fat"], type: "number" },
+    { name: "variants", type: "json" },
+    { name: "modifierGroups", type: "json" },
+    { name: "availability", type: "json" }
+];
+
+// Fields an import may set. Everything else on an item (IDs, uploaded
+// images, stock depletion, trash state) is managed by other routes.
+const IMPORT_FIELDS = [
+    "name", "category", "price", "description", "ingredients", "isAvailable", "preparationTime",
+    "spicyLevel", "allergens", "dietaryTags", "featuredImage", "images", "stockQuantity", "lowStockThreshold",
+    "nutritionalInfo", "variants", "modifierGroups", "availability"
+];
+
+const BOOLEAN_VALUES = {
+    true: true, yes: true, y: true, 1: true,
+    false: false, no: false, n: false, 0: false
+};
+
+// A menu item in the portable format, without IDs so it can be loaded into
+// another database
+const toPortable = (menu) => {
+    const item = typeof menu.toObject === 'function' ? menu.toObject() : menu;
+
+    const portable = {
+        name: item.name,
+        category: item.category,
+        price: item.price,
+        description: item.description,
+        ingredients: item.ingredients,
+        isAvailable: item.isAvailable,
+        preparationTime: item.preparationTime,
+        spicyLevel: item.spicyLevel,
+        allergens: item.allergens,
+        dietaryTags: item.dietaryTags,
+        featuredImage: item.featuredImage,
+        images: item.images,
+        stockQuantity: item.stockQuantity,
+        lowStockThreshold: item.lowStockThreshold,
+        nutritionalInfo: item.nutritionalInfo,
+        variants: (item.variants || []).map(({ name, price, isAvailable }) => ({ name, price, isAvailable })),
+        modifierGroups: (item.modifierGroups || []).map(group => ({
+            name: group.name,
+            isRequired: group.isRequired,
+            minSelections: group.minSelections,
+            maxSelections: group.maxSelections,
+            options: group.options.map(({ name, priceDelta, isAvailable }) => ({ name, priceDelta, isAvailable }))
+        })),
+        availability: item.availability
+    };
+
+    // Leave out fields that were never set rather than exporting nulls
+    Object.keys(portable).forEach(key => {
+        if (portable[key] === undefined || portable[key] === null) delete portable[key];
+    });
+    return portable;
+};
+
+const getPath = (object, path) => path.reduce((value, key) => value?.[key], object);
+
+const formatCell = (value, type) => {
+    if (value === undefined || value === null) {
+        return "";
+    }
+    if (type === "list") {
+        return value.join(LIST_SEPARATOR);
+    }
+    if (type === "json") {
+        return Array.isArray(value) && value.length === 0 ? "" : JSON.stringify(value);
+    }
+    return value;
+};
+
+// The CSV header and one row per menu item
+const toCsvTable = (menus) => {
+    const header = COLUMNS.map(column => column.name);
+    const rows = menus.map(menu => {
+        const portable = toPortable(menu);
+        return COLUMNS.map(column => formatCell(getPath(portable, column.path || [column.name]), column.type));
+    });
+    return { header, rows };
+};
+
+const parseCell = (cell, column) => {
+    const text = cell.trim();
+
+    if (column.type === "number") {
+        const value = Number(text);
+        if (isNaN(value)) throw new Error(`${column.name} must be a number`);
+        return value;
+    }
+    if (column.type === "boolean") {
+        const value = BOOLEAN_VALUES[text.toLowerCase()];
+        if (value === undefined) throw new Error(`${column.name} must be true or false`);
+        return value;
+    }
+    if (column.type === "list") {
+        return text.split(LIST_SEPARATOR).map(entry => entry.trim()).filter(Boolean);
+    }
+    if (column.type === "json") {
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw new Error(`${column.name} must be valid JSON`);
+        }
+    }
+    return text;
+};
+
+// Match a CSV header against the known columns. Returns the column for each
+// position (null for unknown ones) and the names of the unknown columns.
+const readHeader = (header) => {
+    const byName = new Map(COLUMNS.map(column => [column.name.toLowerCase(), column]));
+    const columns = header.map(name => byName.get(name.trim().toLowerCase()) || null);
+    const ignored = header.filter((name, index) => !columns[index] && name.trim() !== "");
+    return { columns, ignored };
+};
+
+// Turn a CSV row into an item in the portable format. Empty cells are left
+// out, so updates keep the current value and creations use the default.
+const fromCsvRow = (columns, row) => {
+    const data = {};
+    const errors = [];
+
+    columns.forEach((column, index) => {
+        const cell = row[index];
+        if (!column || cell === undefined || cell.trim() === "") {
+            return;
+        }
+        try {
+            const value = parseCell(cell, column);
+            if (column.path) {
+                data[column.path[0]] = { ...data[column.path[0]], [column.path[1]]: value };
+            } else {
+                data[column.name] = value;
+            }
+        } catch (err) {
+            errors.push(err.message);
+        }
+    });
+
+    return { data, errors };
+};
+
+// Keep only the fields an import may set from an item in a JSON file
+const pickImportFields = (item) => {
+    const data = {};
+    IMPORT_FIELDS.forEach(field => {
+        if (item[field] !== undefined) data[field] = item[field];
+    });
+    return data;
+};
+
+const sameName = (a, b) => typeof a === 'string' && typeof b === 'string' && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Reuse the IDs of existing variants, modifier groups and options with the
+// same name, so carts and scheduled price changes that refer to them survive
+// an import that re-sends the whole item
+const keepOptionIds = (menu, data) => {
+    if (Array.isArray(data.variants)) {
+        data.variants = data.variants.map(variant => {
+            const match = menu.variants.find(existing => sameName(existing.name, variant?.name));
+            return match ? { ...variant, _id: match._id } : variant;
+        });
+    }
+
+    if (Array.isArray(data.modifierGroups)) {
+        data.modifierGroups = data.modifierGroups.map(group => {
+            const match = menu.modifierGroups.find(existing => sameName(existing.name, group?.name));
+            if (!match) {
+                return group;
+            }
+            return {
+                ...group,
+                _id: match._id,
+                options: (group.options || []).map(option => {
+                    const existingOption = match.options.find(existing => sameName(existing.name, option?.name));
+                    return existingOption ? { ...option, _id: existingOption._id } : option;
+                })
+            };
+        });
+    }
+
+    return data;
+};
+
+module.exports = {
+    IMPORT_FORMATS,
+    MAX_IMPORT_SIZE,
+    MAX_IMPORT_ROWS,
+    toPortable,
+    toCsvTable,
+    readHeader,
+    fromCsvRow,
+    pickImportFields,
+    keepOptionIds
+};
@@ -0,0 +1,92 @@
+const Menu = require("../models/Menu");
+const Category = require("../models/Category");
+const { isAvailableAt } = require("./availability");
+const { resolveSelection } = require("./menuOptions");
+const { applyDuePriceChangesIfStale } = require("./priceHistory");
+
+// Round currency values to two decimal places
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Validate the requested line items and turn them into priced order items.
+// Prices always come from the database, never from the client.
+const buildOrderItems = async (items) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { error: "Order must contain at least one item" };
+    }
+
+    for (const item of items) {
+        if (!item || typeof item.menuItem !== 'string' || !item.menuItem.match(/^[0-9a-fA-F]{24}$/)) {
+            return { error: "Each item must have a valid menuItem ID" };
+        }
+        if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+            return { error: "Each item must have a quantity of at least 1" };
+        }
+        if (item.notes !== undefined && typeof item.notes !== 'string') {
+            return { error: "Item notes must be a string" };
+        }
+        if (item.variant !== undefined && typeof item.variant !== 'string') {
+            return { error: "Item variant must be a variant ID" };
+        }
+        if (item.modifiers !== undefined && !Array.isArray(item.modifiers)) {
+            return { error: "Item modifiers must be an array of modifier option IDs" };
+        }
+    }
+
+    // Make sure scheduled price changes that are due have taken effect
+    await applyDuePriceChangesIfStale();
+
+    const menuIds = [...new Set(items.map(item => item.menuItem))];
+    const menus = await Menu.find({ _id: { $in: menuIds }, deletedAt: null });
+    const menuById = new Map(menus.map(menu => [menu._id.toString(), menu]));
+
+    const missing = menuIds.filter(id => !menuById.has(id));
+    if (missing.length > 0) {
+        return { status: 404, error: "Some menu items were not found", details: missing };
+    }
+
+    // Respect both the manual flag and any item or category schedule
+    const categories = await Category.find({ name: { $in: menus.map(menu => menu.category) } });
+    const categoryByName = new Map(categories.map(category => [category.name, category]));
+    const now = new Date();
+    const unavailable = menus
+        .filter(menu => !isAvailableAt(menu, categoryByName.get(menu.category), now))
+        .map(menu => menu.name);
+    if (unavailable.length > 0) {
+        return { error: "Some menu items are currently unavailable", details: unavailable };
+    }
+
+    // Price each line from its chosen variant and modifiers
+    const orderItems = [];
+    const selectionErrors = [];
+    for (const item of items) {
+        const menu = menuById.get(item.menuItem);
+        const selection = resolveSelection(menu, { variant: item.variant, modifiers: item.modifiers });
+        if (selection.error) {
+            selectionErrors.push(selection.error);
+            continue;
+        }
+        orderItems.push({
+            menuItem: menu._id,
+            name: menu.name,
+            variant: selection.variant,
+            modifiers: selection.modifiers,
+            price: selection.unitPrice,
+            quantity: item.quantity,
+            notes: item.notes?.trim(),
+            lineTotal: roundPrice(selection.unitPrice * item.quantity)
+        });
+    }
+
+    if (selectionErrors.length > 0) {
+        return { error: "Some item options are invalid", details: selectionErrors };
+    }
+
+    const subtotal = roundPrice(orderItems.reduce((sum, item) => sum + item.lineTotal, 0));
+
+    return { orderItems, subtotal };
+};
+
+module.exports = {
+    roundPrice,
+    buildOrderItems
+};
@@ -0,0 +1,46 @@
+const Role = require("../models/Role");
+
+// Role permissions are read on every authenticated request, so they are
+// cached briefly and reloaded after an owner changes them
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+const loadRolePermissions = async () => {
+    if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+        return cache;
+    }
+
+    const roles = await Role.find().select("name permissions");
+    cache = new Map(roles.map(role => [role.name, role.permissions]));
+    cacheLoadedAt = Date.now();
+    return cache;
+};
+
+// Permissions granted to a role. The owner always has every permission; a
+// role missing from the database falls back to its defaults.
+const getPermissions = async (role) => {
+    if (role === "owner") {
+        return [...Role.PERMISSIONS];
+    }
+
+    const rolePermissions = await loadRolePermissions();
+    return [...(rolePermissions.get(role) || Role.DEFAULT_ROLE_PERMISSIONS[role] || [])];
+};
+
+// Whether the authenticated user has a permission
+const hasPermission = (user, permission) => {
+    return Boolean(user && user.permissions && user.permissions.includes(permission));
+};
+
+// Forget cached permissions, e.g. after a role was edited
+const clearPermissionCache = () => {
+    cache = null;
+};
+
+module.exports = {
+    getPermissions,
+    hasPermission,
+    clearPermissionCache
+};
@@ -0,0 +1,182 @@
+const mongoose = require("mongoose");
+const Menu = require("../models/Menu");
+const Cart = require("../models/Cart");
+const PriceChange = require("../models/PriceChange");
+const { publish } = require("./eventBus");
+
+// The prices a menu item currently charges
+const snapshotPrices = (menu) => ({
+    price: menu.price,
+    variants: (menu.variants || []).map(variant => ({ _id: variant._id, name: variant.name, price: variant.price }))
+});
+
+const pricesDiffer = (a, b) => {
+    if (a.price !== b.price || a.variants.length !== b.variants.length) {
+        return true;
+    }
+    return a.variants.some((variant, index) =>
+        variant._id.toString() !== b.variants[index]._id.toString() || variant.price !== b.variants[index].price
+    );
+};
+
+// Add an entry to a menu item's price history when its prices changed (or,
+// without `previous`, for a new item). Failures are logged, not thrown.
+const recordPriceChange = async (menu, { previous = null, source, changedBy, note } = {}) => {
+    const current = snapshotPrices(menu);
+    if (previous && !pricesDiffer(snapshotPrices(previous), current)) {
+        return null;
+    }
+
+    const now = new Date();
+    try {
+        return await PriceChange.create({
+            menuItem: menu._id,
+            ...current,
+            effectiveFrom: now,
+            appliedAt: now,
+            status: "applied",
+            source,
+            changedBy,
+            note
+        });
+    } catch (err) {
+        console.error("Record price change error:", err);
+        return null;
+    }
+};
+
+// Apply one scheduled change. Variants removed from the item since the change
+// was scheduled are skipped. The change is claimed and the item repriced in
+// one transaction, so a failed update leaves the change scheduled and two
+// servers never apply it twice.
+const applyPriceChange = async (change, now) => {
+    let session;
+    let menu = null;
+
+    try {
+        session = await mongoose.startSession();
+        await session.withTransaction(async () => {
+            menu = null;
+
+            const claimed = await PriceChange.findOneAndUpdate(
+                { _id: change._id, status: "scheduled" },
+                { $set: { status: "applied", appliedAt: now } },
+                { new: true, session }
+            );
+            if (!claimed) {
+                return;
+            }
+
+            const update = { $set: {} };
+            if (claimed.price !== undefined && claimed.price !== null) {
+                update.$set.price = claimed.price;
+            }
+            claimed.variants.forEach((variant, index) => {
+                update.$set[`variants.$[v${index}].price`] = variant.price;
+            });
+
+            menu = await Menu.findOneAndUpdate(
+                { _id: claimed.menuItem },
+                update,
+                {
+                    new: true,
+                    runValidators: true,
+                    session,
+                    arrayFilters: claimed.variants.length > 0
+                        ? claimed.variants.map((variant, index) => ({ [`v${index}._id`]: variant._id }))
+                        : undefined
+                }
+            );
+            if (!menu) {
+                await PriceChange.updateOne(
+                    { _id: claimed._id },
+                    { $set: { status: "cancelled" }, $unset: { appliedAt: 1 } },
+                    { session }
+                );
+                return;
+            }
+
+            // Store the full set of prices the item ended up with
+            await PriceChange.updateOne({ _id: claimed._id }, { $set: snapshotPrices(menu) }, { session });
+        });
+    } finally {
+        await session?.endSession();
+    }
+
+    if (!menu) {
+        return;
+    }
+
+    await Cart.syncMenuItem(menu);
+    if (!menu.deletedAt) {
+        publish("menu:updated", menu);
+    }
+};
+
+// Items without any price history, such as ones created before it was kept,
+// get an entry with their current prices from when the item was created.
+// Earlier changes weren't recorded, so this is the best that is known.
+const recordBaselinePrices = async () => {
+    const tracked = await PriceChange.distinct("menuItem", { status: "applied" });
+    const untracked = await Menu.find({ _id: { $nin: tracked } }).select("price variants createdAt");
+    if (untracked.length === 0) {
+        return 0;
+    }
+
+    await PriceChange.insertMany(untracked.map(menu => ({
+        menuItem: menu._id,
+        ...snapshotPrices(menu),
+        effectiveFrom: menu.createdAt || new Date(),
+        appliedAt: new Date(),
+        status: "applied",
+        source: "baseline",
+        note: "Prices when history tracking began; earlier changes weren't recorded"
+    })));
+    return untracked.length;
+};
+
+// Apply every scheduled change whose time has come, oldest first
+const applyDuePriceChanges = async (now = new Date()) => {
+    const due = await PriceChange.find({ status: "scheduled", effectiveFrom: { $lte: now } }).sort({ effectiveFrom: 1 });
+    for (const change of due) {
+        try {
+            await applyPriceChange(change, now);
+        } catch (err) {
+            console.error(`Apply price change ${change._id} error:`, err);
+        }
+    }
+    return due.length;
+};
+
+// On serverless platforms there is no long-running timer, so reads of the
+// menu also check for due changes, at most every CHECK_INTERVAL_MS
+const CHECK_INTERVAL_MS = 30 * 1000;
+let lastCheckAt = 0;
+
+const applyDuePriceChangesIfStale = async () => {
+    if (Date.now() - lastCheckAt < CHECK_INTERVAL_MS) {
+        return;
+    }
+    lastCheckAt = Date.now();
+    try {
+        await applyDuePriceChanges();
+    } catch (err) {
+        console.error("Apply due price changes error:", err);
+    }
+};
+
+// Check for due changes every minute while the server is running
+const startPriceScheduler = (intervalMs = 60 * 1000) => {
+    const timer = setInterval(applyDuePriceChangesIfStale, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    snapshotPrices,
+    recordPriceChange,
+    recordBaselinePrices,
+    applyDuePriceChanges,
+    applyDuePriceChangesIfStale,
+    startPriceScheduler
+};
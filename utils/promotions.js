@@ -0,0 +1,386 @@
+const mongoose = require("mongoose");
+const Menu = require("../models/Menu");
+const Promotion = require("../models/Promotion");
+const PromotionRedemption = require("../models/PromotionRedemption");
+const PromotionUsage = require("../models/PromotionUsage");
+const { isScheduleActive, validateSchedule } = require("./availability");
+const { roundPrice } = require("./orderBuilder");
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value >= 1;
+
+// Validate a promotion sent by an admin, after merging it with the stored
+// promotion for updates. Returns a list of error messages, empty when valid.
+const validatePromotion = (promotion) => {
+    const errors = [];
+    const { type, value, buyQuantity, getQuantity, scope = "order", categories, menuItems, startsAt, endsAt } = promotion;
+
+    if (!Promotion.TYPES.includes(type)) {
+        errors.push(`Promotion type must be one of: ${Promotion.TYPES.join(", ")}`);
+    } else if (type === "percentage" && (typeof value !== 'number' || value <= 0 || value > 100)) {
+        errors.push("Percentage discounts need a value between 1 and 100");
+    } else if (type === "fixed" && (typeof value !== 'number' || value <= 0)) {
+        errors.push("Fixed discounts need a positive value");
+    } else if (type === "buy-x-get-y" && (!isPositiveInteger(buyQuantity) || !isPositiveInteger(getQuantity))) {
+        errors.push("Buy-x-get-y promotions need whole number buyQuantity and getQuantity of at least 1");
+    }
+
+    if (!Promotion.SCOPES.includes(scope)) {
+        errors.push(`Scope must be one of: ${Promotion.SCOPES.join(", ")}`);
+    } else if (scope === "category" && (!Array.isArray(categories) || categories.length === 0 ||
+        !categories.every(category => typeof category === 'string' && category.trim() !== ''))) {
+        errors.push("Category promotions need at least one category name");
+    } else if (scope === "items" && (!Array.isArray(menuItems) || menuItems.length === 0 ||
+        !menuItems.every(id => mongoose.isValidObjectId(id)))) {
+        errors.push("Item promotions need at least one valid menu item ID");
+    }
+
+    const start = startsAt ? new Date(startsAt) : null;
+    const end = endsAt ? new Date(endsAt) : null;
+    if (start && isNaN(start)) errors.push("startsAt must be a valid date");
+    if (end && isNaN(end)) errors.push("endsAt must be a valid date");
+    if (start && end && !isNaN(start) && !isNaN(end) && start >= end) {
+        errors.push("startsAt must be before endsAt");
+    }
+
+    errors.push(...validateSchedule(promotion.schedule));
+
+    return errors;
+};
+
+// Why a promotion can't be used right now, or null when it can
+const inactiveReason = (promotion, now) => {
+    if (!promotion.isActive) return "This promotion is no longer available";
+    if (promotion.startsAt && now < promotion.startsAt) return "This promotion hasn't started yet";
+    if (promotion.endsAt && now > promotion.endsAt) return "This promotion has expired";
+    if (!isScheduleActive(promotion.schedule, now)) return "This promotion isn't running at this time";
+    if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) return "This promotion has been fully redeemed";
+    return null;
+};
+
+// Lines a promotion applies to
+const targetLines = (promotion, lines) => {
+    if (promotion.scope === "category") {
+        return lines.filter(line => promotion.categories.includes(line.category));
+    }
+    if (promotion.scope === "items") {
+        const ids = promotion.menuItems.map(id => id.toString());
+        return lines.filter(line => ids.includes(line.menuItem));
+    }
+    return lines;
+};
+
+const targetLabel = (promotion, lines) => {
+    if (promotion.scope === "category") return promotion.categories.join(", ");
+    if (promotion.scope === "items") return lines.map(line => line.name).join(", ");
+    return "your order";
+};
+
+// Split a discount across lines in proportion to what is left to pay on each,
+// never taking a line below zero. Returns the amount per line.
+const allocate = (amount, lines) => {
+    const remaining = lines.reduce((sum, line) => sum + line.remaining, 0);
+    const total = Math.min(roundPrice(amount), roundPrice(remaining));
+    if (total <= 0) {
+        return lines.map(() => 0);
+    }
+
+    let left = total;
+    return lines.map((line, index) => {
+        const share = index === lines.length - 1
+            ? left
+            : Math.min(line.remaining, roundPrice(total * line.remaining / remaining));
+        left = roundPrice(left - share);
+        return share;
+    });
+};
+
+// Work out how much a promotion takes off the given lines. Returns the
+// amount per line and a customer-facing explanation.
+const computeDiscount = (promotion, lines) => {
+    const eligible = targetLines(promotion, lines).filter(line => line.remaining > 0);
+    const label = targetLabel(promotion, eligible);
+    let amounts = eligible.map(() => 0);
+    let description = "";
+
+    if (promotion.type === "percentage") {
+        amounts = eligible.map(line => roundPrice(line.remaining * promotion.value / 100));
+        description = `${promotion.value}% off ${label}`;
+    } else if (promotion.type === "fixed") {
+        amounts = allocate(promotion.value, eligible);
+        description = `${promotion.value} off ${label}`;
+    } else {
+        // Buy-x-get-y: in every group of x + y units, the cheapest y are
+        // discounted
+        const units = [];
+        eligible.forEach((line, index) => {
+            const unitPrice = line.remaining / line.quantity;
+            for (let i = 0; i < line.quantity; i++) {
+                units.push({ index, unitPrice });
+            }
+        });
+        units.sort((a, b) => b.unitPrice - a.unitPrice);
+
+        const groupSize = promotion.buyQuantity + promotion.getQuantity;
+        const groups = Math.floor(units.length / groupSize);
+        let discountedUnits = 0;
+        for (let group = 0; group < groups; group++) {
+            for (let i = promotion.buyQuantity; i < groupSize; i++) {
+                const unit = units[group * groupSize + i];
+                amounts[unit.index] += unit.unitPrice * promotion.getDiscountPercent / 100;
+                discountedUnits++;
+            }
+        }
+        amounts = amounts.map(roundPrice);
+
+        const reward = promotion.getDiscountPercent === 100 ? "free" : `${promotion.getDiscountPercent}% off`;
+        description = `Buy ${promotion.buyQuantity} get ${promotion.getQuantity} ${reward} on ${label}: ${discountedUnits} item(s) discounted`;
+    }
+
+    let total = roundPrice(amounts.reduce((sum, amount) => sum + amount, 0));
+    if (promotion.maxDiscount !== undefined && promotion.maxDiscount !== null && total > promotion.maxDiscount) {
+        amounts = allocate(promotion.maxDiscount, eligible.map((line, index) => ({ remaining: amounts[index] })));
+        total = roundPrice(promotion.maxDiscount);
+        description += ` (capped at ${promotion.maxDiscount})`;
+    }
+
+    return {
+        amount: total,
+        description,
+        lines: eligible.map((line, index) => ({ line, amount: amounts[index] })).filter(entry => entry.amount > 0)
+    };
+};
+
+// Apply promotions one after another, each to what is left to pay
+const runPlan = (promotions, items) => {
+    const lines = items.map(item => ({ ...item, remaining: item.lineTotal }));
+    const applied = [];
+
+    for (const promotion of promotions) {
+        const result = computeDiscount(promotion, lines);
+        if (result.amount <= 0) {
+            continue;
+        }
+        result.lines.forEach(({ line, amount }) => {
+            line.remaining = roundPrice(line.remaining - amount);
+        });
+        applied.push({
+            promotion: promotion._id,
+            name: promotion.name,
+            code: promotion.code,
+            type: promotion.type,
+            amount: result.amount,
+            description: result.description,
+            items: result.lines.map(({ line, amount }) => ({ menuItem: line.menuItem, name: line.name, amount }))
+        });
+    }
+
+    return {
+        applied,
+        total: roundPrice(applied.reduce((sum, discount) => sum + discount.amount, 0))
+    };
+};
+
+// Apply every eligible automatic promotion, plus any promotion codes the
+// customer entered, to priced order items (from buildOrderItems).
+// Promotions that can't be combined are only used when they beat everything
+// else. Returns the discounts with an explanation for each, and the reason
+// each rejected code didn't apply.
+const applyPromotions = async ({ items, subtotal, userId, codes = [], now = new Date() }) => {
+    const enteredCodes = [...new Set(codes
+        .filter(code => typeof code === 'string' && code.trim() !== '')
+        .map(code => code.trim().toUpperCase()))];
+
+    const [promotions, menus] = await Promise.all([
+        Promotion.find({
+            $or: [
+                { code: null, isActive: true, $and: [{ $or: [{ endsAt: null }, { endsAt: { $gte: now } }] }] },
+                { code: { $in: enteredCodes } }
+            ]
+        }).sort({ priority: -1, createdAt: 1 }),
+        Menu.find({ _id: { $in: items.map(item => item.menuItem) } }).select('category')
+    ]);
+
+    const categoryById = new Map(menus.map(menu => [menu._id.toString(), menu.category]));
+    const lines = items.map(item => ({
+        menuItem: item.menuItem.toString(),
+        name: item.name,
+        category: categoryById.get(item.menuItem.toString()),
+        quantity: item.quantity,
+        lineTotal: item.lineTotal
+    }));
+
+    // How often this customer already used each promotion
+    const usedCounts = new Map();
+    if (userId) {
+        const usage = await PromotionRedemption.aggregate([
+            {
+                $match: {
+                    user: new mongoose.Types.ObjectId(userId),
+                    promotion: { $in: promotions.map(promotion => promotion._id) }
+                }
+            },
+            { $group: { _id: "$promotion", count: { $sum: 1 } } }
+        ]);
+        usage.forEach(entry => usedCounts.set(entry._id.toString(), entry.count));
+    }
+
+    const rejectedCodes = enteredCodes
+        .filter(code => !promotions.some(promotion => promotion.code === code))
+        .map(code => ({ code, reason: "Promotion code not found" }));
+
+    const eligible = [];
+    for (const promotion of promotions) {
+        let reason = inactiveReason(promotion, now);
+        if (!reason && promotion.perUserLimit && (usedCounts.get(promotion._id.toString()) || 0) >= promotion.perUserLimit) {
+            reason = "You have already used this promotion";
+        }
+        if (!reason && subtotal < promotion.minSubtotal) {
+            reason = `Spend at least ${promotion.minSubtotal} to use this promotion`;
+        }
+        if (!reason && targetLines(promotion, lines).length === 0) {
+            reason = "None of the items in your cart qualify for this promotion";
+        }
+        if (!reason && promotion.type === "buy-x-get-y" && targetLines(promotion, lines)
+            .reduce((sum, line) => sum + line.quantity, 0) < promotion.buyQuantity + promotion.getQuantity) {
+            reason = `Add ${promotion.buyQuantity + promotion.getQuantity} qualifying items to use this promotion`;
+        }
+
+        if (reason) {
+            if (promotion.code) {
+                rejectedCodes.push({ code: promotion.code, reason });
+            }
+            continue;
+        }
+        eligible.push(promotion);
+    }
+
+    // Either every stackable promotion together, or one exclusive promotion
+    // on its own, whichever saves the customer the most
+    const stackable = eligible.filter(promotion => promotion.isStackable);
+    const exclusive = eligible.filter(promotion => !promotion.isStackable);
+    let best = runPlan(stackable, lines);
+    for (const promotion of exclusive) {
+        const plan = runPlan([promotion], lines);
+        if (plan.total > best.total) {
+            best = plan;
+        }
+    }
+
+    const appliedIds = best.applied.map(discount => discount.promotion.toString());
+    const winner = best.applied[0]?.name;
+    eligible
+        .filter(promotion => promotion.code && !appliedIds.includes(promotion._id.toString()))
+        .forEach(promotion => rejectedCodes.push({
+            code: promotion.code,
+            reason: winner
+                ? `Can't be combined with ${winner}, which saves you more`
+                : "This promotion doesn't reduce your order"
+        }));
+
+    const discountTotal = Math.min(best.total, subtotal);
+
+    return {
+        subtotal,
+        discounts: best.applied,
+        discountTotal,
+        total: roundPrice(subtotal - discountTotal),
+        rejectedCodes
+    };
+};
+
+// Claim one of a customer's uses of a promotion with a per-user limit. The
+// counter starts from their past redemptions and is only increased while it
+// is below the limit, so two orders placed at once can't both take the last
+// use. Returns false when none are left.
+const claimUserUse = async (promotion, userId, session) => {
+    const key = { promotion: promotion._id, user: userId };
+
+    if (!await PromotionUsage.exists(key).session(session || null)) {
+        const used = await PromotionRedemption.countDocuments(key).session(session || null);
+        await PromotionUsage.updateOne(key, { $setOnInsert: { count: used } }, { upsert: true, session });
+    }
+
+    const usage = await PromotionUsage.findOneAndUpdate(
+        { ...key, count: { $lt: promotion.perUserLimit } },
+        { $inc: { count: 1 } },
+        { new: true, session }
+    );
+    return Boolean(usage);
+};
+
+// Give a customer back a use of a promotion
+const releaseUserUse = (promotionId, userId, session) => {
+    return PromotionUsage.updateOne(
+        { promotion: promotionId, user: userId, count: { $gt: 0 } },
+        { $inc: { count: -1 } },
+        { session }
+    );
+};
+
+// Count the promotions used by an order against their limits. If a limit has
+// been reached in the meantime, everything redeemed so far is put back and
+// `{ error }` is returned.
+const redeemPromotions = async (discounts, { userId, orderId, session }) => {
+    const redeemed = [];
+    const claimedUserUses = [];
+
+    const rollback = async () => {
+        for (const promotionId of redeemed) {
+            await Promotion.updateOne({ _id: promotionId }, { $inc: { usageCount: -1 } }, { session });
+        }
+        for (const promotionId of claimedUserUses) {
+            await releaseUserUse(promotionId, userId, session);
+        }
+        await PromotionRedemption.deleteMany({ order: orderId }, { session });
+    };
+
+    for (const discount of discounts) {
+        const promotion = await Promotion.findOneAndUpdate(
+            {
+                _id: discount.promotion,
+                $expr: { $or: [{ $not: ["$usageLimit"] }, { $lt: ["$usageCount", "$usageLimit"] }] }
+            },
+            { $inc: { usageCount: 1 } },
+            { new: true, session }
+        );
+        if (!promotion) {
+            await rollback();
+            return { error: `${discount.name} has been fully redeemed. Please review your order.` };
+        }
+        redeemed.push(promotion._id);
+
+        if (promotion.perUserLimit) {
+            if (!await claimUserUse(promotion, userId, session)) {
+                await rollback();
+                return { error: `You have already used ${discount.name}` };
+            }
+            claimedUserUses.push(promotion._id);
+        }
+
+        await PromotionRedemption.create([{
+            promotion: promotion._id,
+            user: userId,
+            order: orderId,
+            amount: discount.amount
+        }], { session });
+    }
+
+    return {};
+};
+
+// Give back the promotion uses of a cancelled or rejected order
+const releasePromotions = async (orderId, session) => {
+    const redemptions = await PromotionRedemption.find({ order: orderId }).session(session || null);
+    for (const redemption of redemptions) {
+        await Promotion.updateOne({ _id: redemption.promotion }, { $inc: { usageCount: -1 } }, { session });
+        await releaseUserUse(redemption.promotion, redemption.user, session);
+    }
+    await PromotionRedemption.deleteMany({ order: orderId }, { session });
+};
+
+module.exports = {
+    validatePromotion,
+    applyPromotions,
+    redeemPromotions,
+    releasePromotions
+};
@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Menu = require("../models/Menu");
+const Category = require("../models/Category");
+const { isAvailableAt } = require("./availability");
+const { dietaryConditions } = require("./dietary");
+
+// Orders that show what customers actually wanted
+const COUNTED_STATUSES = Order.STATUSES.filter(status => !["cancelled", "rejected"].includes(status));
+
+// How far back "frequently ordered together" and "popular" look
+const HISTORY_WINDOW_DAYS = 90;
+
+// Ranked candidates fetched before unavailable items are filtered out
+const CANDIDATE_LIMIT = 50;
+
+const toObjectIds = (ids) => ids.map(id => new mongoose.Types.ObjectId(id.toString()));
+
+const windowStart = () => new Date(Date.now() - HISTORY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+// Each order's distinct menu items, so an item on two lines counts once
+const distinctItemsPerOrder = [
+    { $project: { createdAt: 1, menuItems: { $setUnion: ["$items.menuItem", []] } } },
+    { $unwind: "$menuItems" }
+];
+
+// The items a user has ordered most often, most recently ordered first on ties.
+// Returns [{ menuItem, timesOrdered, lastOrderedAt }].
+const getOrderAgain = async (userId) => {
+    const rows = await Order.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(userId), status: { $in: COUNTED_STATUSES } } },
+        ...distinctItemsPerOrder,
+        { $group: { _id: "$menuItems", timesOrdered: { $sum: 1 }, lastOrderedAt: { $max: "$createdAt" } } },
+        { $sort: { timesOrdered: -1, lastOrderedAt: -1 } },
+        { $limit: CANDIDATE_LIMIT }
+    ]);
+    return rows.map(({ _id, timesOrdered, lastOrderedAt }) => ({ menuItem: _id, timesOrdered, lastOrderedAt }));
+};
+
+// Items that appear in the same orders as any of the given items, by how
+// many orders they shared. Returns [{ menuItem, orderCount }].
+const getOrderedTogether = async (menuItemIds) => {
+    if (menuItemIds.length === 0) {
+        return [];
+    }
+    const seeds = toObjectIds(menuItemIds);
+
+    const rows = await Order.aggregate([
+        { $match: { "items.menuItem": { $in: seeds }, status: { $in: COUNTED_STATUSES }, createdAt: { $gte: windowStart() } } },
+        ...distinctItemsPerOrder,
+        { $match: { menuItems: { $nin: seeds } } },
+        { $group: { _id: "$menuItems", orderCount: { $sum: 1 } } },
+        { $sort: { orderCount: -1 } },
+        { $limit: CANDIDATE_LIMIT }
+    ]);
+    return rows.map(({ _id, orderCount }) => ({ menuItem: _id, orderCount }));
+};
+
+// The most ordered items in the given categories, or across the whole menu
+// when no categories are given. Returns [{ menuItem, orderCount }].
+const getPopular = async (categoryNames) => {
+    const itemFilter = [];
+    if (categoryNames && categoryNames.length > 0) {
+        const ids = await Menu.find({ category: { $in: categoryNames }, deletedAt: null }).distinct('_id');
+        itemFilter.push({ $match: { menuItems: { $in: ids } } });
+    }
+
+    const rows = await Order.aggregate([
+        { $match: { status: { $in: COUNTED_STATUSES }, createdAt: { $gte: windowStart() } } },
+        ...distinctItemsPerOrder,
+        ...itemFilter,
+        { $group: { _id: "$menuItems", orderCount: { $sum: 1 } } },
+        { $sort: { orderCount: -1 } },
+        { $limit: CANDIDATE_LIMIT }
+    ]);
+    return rows.map(({ _id, orderCount }) => ({ menuItem: _id, orderCount }));
+};
+
+// Load the menu items behind ranked candidates, keeping their order and
+// dropping items that can't be ordered right now, don't fit the `dietary`
+// filters or are listed in `excludeIds`. Each candidate's stats are kept.
+const pickAvailable = async (candidates, { dietary = {}, excludeIds = [], limit, now = new Date() }) => {
+    const excluded = new Set(excludeIds.map(id => id.toString()));
+    const wanted = candidates.filter(candidate => !excluded.has(candidate.menuItem.toString()));
+    if (wanted.length === 0) {
+        return [];
+    }
+
+    const query = {
+        _id: { $in: wanted.map(candidate => candidate.menuItem) },
+        deletedAt: null,
+        isAvailable: true
+    };
+    const conditions = dietaryConditions(dietary);
+    if (conditions.length > 0) {
+        query.$and = conditions;
+    }
+    const menus = await Menu.find(query)
+        .select('name price description featuredImage category variants allergens spicyLevel dietaryTags averageRating reviewCount isAvailable availability');
+
+    const categories = await Category.find({ name: { $in: [...new Set(menus.map(menu => menu.category))] } });
+    const categoryByName = new Map(categories.map(category => [category.name, category]));
+    const menuById = new Map(menus
+        .filter(menu => isAvailableAt(menu, categoryByName.get(menu.category), now))
+        .map(menu => [menu._id.toString(), menu]));
+
+    return wanted
+        .filter(candidate => menuById.has(candidate.menuItem.toString()))
+        .slice(0, limit)
+        .map(({ menuItem, ...stats }) => {
+            const { availability, isAvailable, ...menu } = menuById.get(menuItem.toString()).toObject();
+            return { ...menu, ...stats };
+        });
+};
+
+module.exports = {
+    getOrderAgain,
+    getOrderedTogether,
+    getPopular,
+    pickAvailable
+};
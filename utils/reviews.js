@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+const Menu = require("../models/Menu");
+const Order = require("../models/Order");
+const Review = require("../models/Review");
+
+// A completed order of the user's that contained the menu item, or null when
+// they have never received it and so can't review it
+const findReviewableOrder = (userId, menuItemId) => {
+    return Order.findOne({ user: userId, "items.menuItem": menuItemId, status: "completed" })
+        .sort({ createdAt: -1 })
+        .select('_id');
+};
+
+// Recalculate a menu item's average rating and review count from its approved
+// reviews. Failures are logged, not thrown, so they never undo the review change.
+const refreshRating = async (menuItemId) => {
+    try {
+        const [stats] = await Review.aggregate([
+            { $match: { menuItem: new mongoose.Types.ObjectId(menuItemId.toString()), status: "approved" } },
+            { $group: { _id: null, averageRating: { $avg: "$rating" }, reviewCount: { $sum: 1 } } }
+        ]);
+
+        await Menu.updateOne({ _id: menuItemId }, {
+            $set: {
+                averageRating: Math.round((stats?.averageRating || 0) * 10) / 10,
+                reviewCount: stats?.reviewCount || 0
+            }
+        });
+    } catch (err) {
+        console.error("Refresh rating error:", err);
+    }
+};
+
+// How many approved reviews a menu item has at each rating, 1 to 5
+const ratingDistribution = async (menuItemId) => {
+    const counts = await Review.aggregate([
+        { $match: { menuItem: new mongoose.Types.ObjectId(menuItemId.toString()), status: "approved" } },
+        { $group: { _id: "$rating", count: { $sum: 1 } } }
+    ]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    counts.forEach(entry => {
+        distribution[entry._id] = entry.count;
+    });
+    return distribution;
+};
+
+module.exports = {
+    findReviewableOrder,
+    refreshRating,
+    ratingDistribution
+};
@@ -0,0 +1,265 @@
+// Fuzzy menu search, done in process so no search service is needed. Items
+// are matched word by word with prefixes (for search-as-you-type), typo
+// tolerance and synonyms, ranked by where the words matched, and returned
+// with the matching words highlighted.
+
+// Longest query accepted, to bound the work per request
+const MAX_QUERY_LENGTH = 100;
+
+// Words that mean the same thing on this menu. Spelling mistakes are caught
+// by typo tolerance; these cover different words and common spellings that
+// are too far apart to be typos.
+const SYNONYMS = [
+    ["drink", "drinks", "beverage", "beverages"],
+    ["suya", "suyah", "sooya", "tsire", "tsinga"],
+    ["jollof", "jolof", "jellof"],
+    ["peppersoup", "pepersoup", "pepesoup"],
+    ["swallow", "eba", "fufu", "amala", "semo", "semovita", "pounded"],
+    ["dessert", "desserts", "sweet", "sweets"]
+];
+
+// Fields searched, with how much a match in each counts
+const FIELDS = [
+    { name: "name", weight: 3 },
+    { name: "category", weight: 2 },
+    { name: "ingredients", weight: 1.5 },
+    { name: "description", weight: 1 }
+];
+
+// How well a word matched, by kind of match
+const MATCH_SCORES = {
+    exact: 1,
+    synonym: 0.9,
+    prefix: 0.8,
+    typo: 0.6
+};
+
+// Words shown around the first match when a long field is cut down
+const SNIPPET_WORDS = 20;
+const SNIPPET_LEAD = 5;
+
+const synonymsByWord = new Map();
+SYNONYMS.forEach(group => {
+    group.forEach(word => synonymsByWord.set(word, new Set(group.filter(other => other !== word))));
+});
+
+// Lowercase and strip accents, so "Jollóf" matches "jollof"
+const normalize = (text) => text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+// The words of a text with their positions, for highlighting
+const splitWords = (text) => {
+    const words = [];
+    for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+        words.push({ start: match.index, end: match.index + match[0].length, term: normalize(match[0]) });
+    }
+    return words;
+};
+
+// Whether two words are within `maxEdits` insertions, deletions,
+// substitutions or swaps of adjacent letters of each other
+const withinEdits = (a, b, maxEdits) => {
+    if (Math.abs(a.length - b.length) > maxEdits) {
+        return false;
+    }
+
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxEdits) {
+            return false;
+        }
+        previous2 = previous;
+        previous = current;
+    }
+    return previous[b.length] <= maxEdits;
+};
+
+// Typos allowed in a query word: none in short words, where they'd match
+// almost anything
+const allowedEdits = (term) => {
+    if (term.length <= 3) return 0;
+    if (term.length <= 7) return 1;
+    return 2;
+};
+
+// How well a query word matches a word in an item, or 0. `isPrefix` is set
+// for the word being typed, which may be incomplete. Two joined words only
+// match as a whole, so "chick" doesn't match "chicken suya".
+const scoreTerm = (query, { term: word, joined }) => {
+    if (word === query.term) {
+        return MATCH_SCORES.exact;
+    }
+    if (query.synonyms.has(word)) {
+        return MATCH_SCORES.synonym;
+    }
+    if (joined) {
+        return withinEdits(query.term, word, allowedEdits(query.term)) ? MATCH_SCORES.typo : 0;
+    }
+    if (word.startsWith(query.term) && (query.isPrefix || query.term.length >= 3)) {
+        return MATCH_SCORES.prefix;
+    }
+
+    const maxEdits = allowedEdits(query.term);
+    if (maxEdits === 0) {
+        return 0;
+    }
+    if (withinEdits(query.term, word, maxEdits)) {
+        return MATCH_SCORES.typo;
+    }
+    // A typo in a word still being typed, e.g. "chikc" for "chicken"
+    if (query.isPrefix && word.length > query.term.length && withinEdits(query.term, word.slice(0, query.term.length), 1)) {
+        return MATCH_SCORES.typo;
+    }
+    return 0;
+};
+
+// Split a search query into words to match. Returns [] when there is
+// nothing to search for.
+const parseQuery = (q) => {
+    const text = String(q).slice(0, MAX_QUERY_LENGTH);
+    const words = splitWords(text);
+    // The last word is still being typed unless the query ends with a space
+    const typing = words.length > 0 && words[words.length - 1].end === text.length;
+
+    return words.map((word, index) => ({
+        term: word.term,
+        synonyms: synonymsByWord.get(word.term) || new Set(),
+        isPrefix: typing && index === words.length - 1
+    }));
+};
+
+// The words of each searched field of a menu item. Adjacent words are also
+// joined, so "pepersoup" can match "Pepper Soup".
+const indexItem = (menu, fields) => fields.map(field => {
+    const text = menu[field.name] ? String(menu[field.name]) : "";
+    const words = splitWords(text);
+    const terms = words.map((word, index) => ({ term: word.term, from: index, to: index, joined: false }));
+    for (let i = 0; i < words.length - 1; i++) {
+        terms.push({ term: words[i].term + words[i + 1].term, from: i, to: i + 1, joined: true });
+    }
+    return { ...field, text, words, terms };
+});
+
+// Score one item against a parsed query. Every query word has to match
+// somewhere; each counts with its best match. Returns null when the item
+// doesn't match, otherwise { score, matches } with the positions of every
+// matching word per field.
+const matchItem = (indexed, queryTerms, normalizedQuery) => {
+    let score = 0;
+    const matches = new Map();
+
+    for (const query of queryTerms) {
+        let best = 0;
+        indexed.forEach(field => {
+            field.terms.forEach(candidate => {
+                const termScore = scoreTerm(query, candidate) * field.weight;
+                if (termScore === 0) {
+                    return;
+                }
+                best = Math.max(best, termScore);
+                const positions = matches.get(field.name) || new Set();
+                for (let i = candidate.from; i <= candidate.to; i++) positions.add(i);
+                matches.set(field.name, positions);
+            });
+        });
+        if (best === 0) {
+            return null;
+        }
+        score += best;
+    }
+
+    // Prefer names that start with, or contain, the query as typed
+    const name = indexed.find(field => field.name === "name");
+    if (name) {
+        const normalizedName = name.words.map(word => word.term).join(" ");
+        if (normalizedName.startsWith(normalizedQuery)) {
+            score += 2;
+        } else if (normalizedName.includes(normalizedQuery)) {
+            score += 1;
+        }
+    }
+
+    return { score, matches };
+};
+
+const escapeHtml = (text) => text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// A field's text with the matched words wrapped in <mark>, HTML-escaped.
+// Long texts are cut down to the words around the first match.
+const highlightField = (field, positions) => {
+    let first = 0;
+    let last = field.words.length - 1;
+    if (field.words.length > SNIPPET_WORDS) {
+        first = Math.max(0, Math.min(...positions) - SNIPPET_LEAD);
+        last = Math.min(field.words.length - 1, first + SNIPPET_WORDS - 1);
+    }
+
+    const start = first === 0 ? 0 : field.words[first].start;
+    const end = last === field.words.length - 1 ? field.text.length : field.words[last].end;
+
+    let html = "";
+    let cursor = start;
+    for (let i = first; i <= last; i++) {
+        if (!positions.has(i)) continue;
+        const word = field.words[i];
+        html += escapeHtml(field.text.slice(cursor, word.start)) + "<mark>" + escapeHtml(field.text.slice(word.start, word.end)) + "</mark>";
+        cursor = word.end;
+    }
+    html += escapeHtml(field.text.slice(cursor, end));
+
+    return (start > 0 ? "…" : "") + html + (end < field.text.length ? "…" : "");
+};
+
+// Rank menu items against a search query. `fields` limits which fields are
+// searched (default: all). Returns [{ menu, score, highlights }], best first;
+// `highlights` has an HTML snippet for each field that matched.
+const rankMenuItems = (menus, q, { fields = FIELDS.map(field => field.name) } = {}) => {
+    const queryTerms = parseQuery(q);
+    if (queryTerms.length === 0) {
+        return [];
+    }
+    const normalizedQuery = queryTerms.map(query => query.term).join(" ");
+    const searched = FIELDS.filter(field => fields.includes(field.name));
+
+    const results = [];
+    menus.forEach(menu => {
+        const indexed = indexItem(menu, searched);
+        const match = matchItem(indexed, queryTerms, normalizedQuery);
+        if (!match) {
+            return;
+        }
+
+        const highlights = {};
+        indexed.forEach(field => {
+            if (match.matches.has(field.name)) {
+                highlights[field.name] = highlightField(field, match.matches.get(field.name));
+            }
+        });
+        results.push({ menu, score: Math.round(match.score * 100) / 100, highlights });
+    });
+
+    return results.sort((a, b) => b.score - a.score || a.menu.name.localeCompare(b.menu.name));
+};
+
+module.exports = {
+    MAX_QUERY_LENGTH,
+    parseQuery,
+    rankMenuItems
+};
@@ -0,0 +1,109 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Pluggable file storage for uploaded images. The driver is chosen with
+// STORAGE_DRIVER:
+//   local - write files under UPLOAD_DIR, served by the app at /uploads (default)
+//   s3    - put objects in an S3-compatible bucket, served from S3_PUBLIC_URL
+// Any object with async `put(key, buffer, contentType)` and `remove(key)`
+// methods and a `urlFor(key)` method can be used via setStorage.
+
+const UPLOADS_ROUTE = "/uploads";
+
+const localStorage = (directory = process.env.UPLOAD_DIR || "./uploads") => {
+    const root = path.resolve(directory);
+    const filePath = (key) => {
+        const resolved = path.resolve(root, key);
+        if (!resolved.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return resolved;
+    };
+
+    return {
+        directory: root,
+        put: async (key, buffer) => {
+            const target = filePath(key);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, buffer);
+        },
+        remove: async (key) => {
+            await fs.rm(filePath(key), { force: true });
+        },
+        urlFor: (key) => `${UPLOADS_ROUTE}/${key}`
+    };
+};
+
+// The AWS SDK is an optional dependency, only needed for this driver
+const loadS3Sdk = () => {
+    try {
+        return require("@aws-sdk/client-s3");
+    } catch (err) {
+        if (err.code !== "MODULE_NOT_FOUND") throw err;
+        throw new Error("The s3 storage driver needs @aws-sdk/client-s3; install it with npm install @aws-sdk/client-s3");
+    }
+};
+
+const s3Storage = () => {
+    const { S3Client, PutObjectCommand, DeleteObjectCommand } = loadS3Sdk();
+
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new Error("S3_BUCKET is required for the s3 storage driver");
+    }
+
+    const client = new S3Client({
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT || undefined, // For S3-compatible services, e.g. R2 or MinIO
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        credentials: process.env.S3_ACCESS_KEY_ID
+            ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+            : undefined
+    });
+    const publicUrl = (process.env.S3_PUBLIC_URL || `https://${bucket}.s3.amazonaws.com`).replace(/\/+$/, "");
+
+    return {
+        put: (key, buffer, contentType) => client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: buffer,
+            ContentType: contentType,
+            CacheControl: "public, max-age=31536000, immutable"
+        })),
+        remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+        urlFor: (key) => `${publicUrl}/${key}`
+    };
+};
+
+const createStorage = (name = process.env.STORAGE_DRIVER || "local") => {
+    switch (name) {
+        case "s3":
+            return s3Storage();
+        case "local":
+            return localStorage();
+        default:
+            throw new Error(`Unknown storage driver: ${name}`);
+    }
+};
+
+let storage = null;
+
+// Replace the active storage, e.g. with a stub in tests
+const setStorage = (newStorage) => {
+    storage = newStorage;
+};
+
+// The configured storage, created on first use
+const getStorage = () => {
+    if (!storage) {
+        storage = createStorage();
+    }
+    return storage;
+};
+
+module.exports = {
+    UPLOADS_ROUTE,
+    getStorage,
+    setStorage,
+    createStorage
+};